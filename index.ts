@@ -43,7 +43,6 @@ class GelfLogger {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Content-Encoding': 'gzip',
           ...this.headers
         },
         body: JSON.stringify(message)
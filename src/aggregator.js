@@ -0,0 +1,174 @@
+import { GELFLogger } from './gelf-logger.js';
+
+/**
+ * Durable Object log aggregator
+ *
+ * Loggers configured with `aggregator` POST their payloads here over a Durable Object binding
+ * instead of each opening their own upstream connection. The aggregator forwards every message
+ * through one long-lived GELFLogger: a single WebSocket when GELF_WS_URL (or options.wsEndpoint)
+ * is set, otherwise batched HTTP to GELF_LOGGING_URL.
+ *
+ * Routes:
+ * - POST /ingest - GELF message, JSON array or NDJSON (gzip/deflate bodies are accepted)
+ * - GET /stats - Aggregator and upstream statistics
+ *
+ * @example
+ * // wrangler.toml
+ * // [[durable_objects.bindings]]
+ * // name = "GELF_AGGREGATOR"
+ * // class_name = "GELFAggregator"
+ *
+ * export { GELFAggregator } from '@walsys/cloudflare_worker-gelf_logger';
+ */
+export class GELFAggregator {
+	/**
+	 * Create the aggregator (called by the runtime; subclasses can pass options to super())
+	 *
+	 * @param {DurableObjectState} state - Durable Object state
+	 * @param {Object} env - Worker env (GELF_LOGGING_URL, GELF_WS_URL, ACCESS_ID, ACCESS_SECRET, ...)
+	 * @param {Object} options - GELFLogger config for the upstream logger
+	 * @param {string} options.wsEndpoint - Upstream WebSocket URL (default: env.GELF_WS_URL)
+	 * @param {number} options.maxBuffer - Messages held while the WebSocket reconnects; the oldest are dropped beyond this (default: 10000)
+	 */
+	constructor(state, env, options = {}) {
+		this.state = state;
+		this.maxBuffer = options.maxBuffer || 10000;
+		this.startedAt = Date.now();
+		this.stats = {
+			requests: 0,   // Ingest requests handled
+			received: 0,   // Messages accepted for forwarding
+			rejected: 0,   // Messages (or whole payloads) that were not valid GELF
+			dropped: 0     // Messages dropped because the reconnect buffer was full
+		};
+
+		const { maxBuffer, ...loggerConfig } = options;
+		const wsEndpoint = options.wsEndpoint || env?.GELF_WS_URL;
+		const useWebSocket = options.useWebSocket !== undefined ? options.useWebSocket : Boolean(wsEndpoint);
+
+		this.logger = new GELFLogger({
+			consoleLog: false,
+			...loggerConfig,
+			env,
+			useWebSocket,
+			wsEndpoint,
+			// Batching only applies to the HTTP upstream
+			batch: useWebSocket ? false : loggerConfig.batch !== undefined ? loggerConfig.batch : true
+		});
+	}
+
+	/**
+	 * Handle a request from a logger or a stats client
+	 *
+	 * @param {Request} request - Incoming request
+	 * @returns {Promise<Response>} Response
+	 */
+	async fetch(request) {
+		const { pathname } = new URL(request.url);
+
+		if (request.method === 'POST' && pathname === '/ingest') {
+			return this._ingest(request);
+		}
+		if (request.method === 'GET' && pathname === '/stats') {
+			return Response.json(this.getStats());
+		}
+		return new Response('Not Found', { status: 404 });
+	}
+
+	/**
+	 * Get aggregator statistics, including the upstream logger's stats
+	 *
+	 * @returns {Object} Stats object
+	 */
+	getStats() {
+		return {
+			...this.stats,
+			bufferLimit: this.maxBuffer,
+			uptimeMs: Date.now() - this.startedAt,
+			upstream: this.logger.getStats()
+		};
+	}
+
+	/**
+	 * Accept a payload and forward its messages upstream
+	 *
+	 * @private
+	 * @param {Request} request - Ingest request
+	 * @returns {Promise<Response>} 202 once the messages are queued, 400 for unreadable payloads
+	 */
+	async _ingest(request) {
+		this.stats.requests++;
+
+		let messages;
+		try {
+			const body = await GELFAggregator._readBody(request);
+			messages = GELFAggregator._parseMessages(body, request.headers.get('content-type'));
+		} catch (error) {
+			this.stats.rejected++;
+			return new Response('Invalid GELF payload', { status: 400 });
+		}
+
+		for (const message of messages) {
+			if (!message || typeof message !== 'object' || typeof message.short_message !== 'string') {
+				this.stats.rejected++;
+				continue;
+			}
+			this.stats.received++;
+			this.logger._send(message);
+		}
+
+		this._trimBuffer();
+
+		// Keep the upstream send alive past this request (HTTP mode)
+		if (this.logger.pendingPromises.length > 0) {
+			this.state?.waitUntil?.(Promise.allSettled(this.logger.pendingPromises));
+		}
+
+		return new Response(null, { status: 202 });
+	}
+
+	/**
+	 * Drop the oldest buffered messages once the reconnect buffer exceeds maxBuffer
+	 *
+	 * @private
+	 */
+	_trimBuffer() {
+		const queue = this.logger.wsMessageQueue;
+		const excess = queue.length - this.maxBuffer;
+		if (excess > 0) {
+			queue.splice(0, excess);
+			this.stats.dropped += excess;
+		}
+	}
+
+	/**
+	 * Read a request body, decompressing gzip/deflate payloads
+	 *
+	 * @private
+	 * @param {Request} request - Ingest request
+	 * @returns {Promise<string>} Body text
+	 */
+	static async _readBody(request) {
+		const encoding = request.headers.get('content-encoding');
+		if ((encoding === 'gzip' || encoding === 'deflate') && request.body) {
+			return new Response(request.body.pipeThrough(new DecompressionStream(encoding))).text();
+		}
+		return request.text();
+	}
+
+	/**
+	 * Parse a single GELF message, a JSON array or NDJSON into a list of messages
+	 *
+	 * @private
+	 * @param {string} body - Body text
+	 * @param {string|null} contentType - Content-Type header
+	 * @returns {Array<Object>} Messages (throws on invalid JSON)
+	 */
+	static _parseMessages(body, contentType) {
+		if (contentType && contentType.includes('ndjson')) {
+			return body.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+		}
+
+		const parsed = JSON.parse(body);
+		return Array.isArray(parsed) ? parsed : [parsed];
+	}
+}
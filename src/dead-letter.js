@@ -0,0 +1,158 @@
+/**
+ * Persistent dead-letter stores
+ *
+ * Keep failed GELF messages in Workers KV, R2 or D1 so they outlive the isolate and can be
+ * re-sent later with replayFailed(). Every store has the same interface:
+ * - put(failureInfo) - Persist one failed payload ({ messages, reason, error, timestamp, ... })
+ * - list(limit) - Oldest stored failures first, each with the `id` used to delete it
+ * - delete(id) - Remove a failure once it has been delivered
+ */
+
+/**
+ * Work out which kind of storage binding this is
+ *
+ * @param {*} binding - KV namespace, R2 bucket or D1 database binding
+ * @returns {string|null} 'kv', 'r2', 'd1', or null if it is none of them
+ */
+export function detectStoreKind(binding) {
+	if (!binding || typeof binding !== 'object') {
+		return null;
+	}
+	if (typeof binding.prepare === 'function') {
+		return 'd1';
+	}
+	if (typeof binding.getWithMetadata === 'function') {
+		return 'kv';
+	}
+	if (typeof binding.head === 'function' && typeof binding.put === 'function') {
+		return 'r2';
+	}
+	return null;
+}
+
+/**
+ * Create a dead-letter store backed by a KV, R2 or D1 binding
+ *
+ * @param {Object} options - Resolved dead-letter configuration
+ * @param {string} options.kind - 'kv', 'r2' or 'd1'
+ * @param {Object} options.binding - Storage binding
+ * @param {string} options.prefix - Key prefix (KV and R2)
+ * @param {number} options.ttl - Expiration in seconds (KV only)
+ * @param {string} options.table - Table name (D1 only)
+ * @returns {Object} Store with put(), list() and delete()
+ */
+export function createDeadLetterStore(options) {
+	switch (options.kind) {
+		case 'd1':
+			return createD1Store(options);
+		case 'r2':
+			return createR2Store(options);
+		default:
+			return createKVStore(options);
+	}
+}
+
+/**
+ * Build a record ID that sorts chronologically (KV and R2 list keys in lexicographic order)
+ *
+ * @private
+ * @param {number} timestamp - Failure time in epoch ms
+ * @returns {string} Record ID
+ */
+function recordId(timestamp) {
+	return `${String(timestamp || Date.now()).padStart(13, '0')}-${crypto.randomUUID()}`;
+}
+
+/**
+ * Workers KV store: one key per failure, optionally expiring
+ *
+ * @private
+ */
+function createKVStore({ binding, prefix, ttl }) {
+	return {
+		put(failureInfo) {
+			const key = `${prefix}${recordId(failureInfo.timestamp)}`;
+			return binding.put(key, JSON.stringify(failureInfo), ttl ? { expirationTtl: ttl } : undefined);
+		},
+		async list(limit) {
+			const { keys } = await binding.list({ prefix, limit });
+			const records = await Promise.all(keys.map(async ({ name }) => {
+				const record = await binding.get(name, 'json');
+				return record && { id: name.slice(prefix.length), ...record };
+			}));
+			// Keys can expire or be deleted between list() and get()
+			return records.filter(Boolean);
+		},
+		delete(id) {
+			return binding.delete(`${prefix}${id}`);
+		}
+	};
+}
+
+/**
+ * R2 store: one JSON object per failure
+ *
+ * @private
+ */
+function createR2Store({ binding, prefix }) {
+	return {
+		put(failureInfo) {
+			const key = `${prefix}${recordId(failureInfo.timestamp)}`;
+			return binding.put(key, JSON.stringify(failureInfo), { httpMetadata: { contentType: 'application/json' } });
+		},
+		async list(limit) {
+			const { objects } = await binding.list({ prefix, limit });
+			const records = await Promise.all(objects.map(async ({ key }) => {
+				const object = await binding.get(key);
+				return object && { id: key.slice(prefix.length), ...(await object.json()) };
+			}));
+			return records.filter(Boolean);
+		},
+		delete(id) {
+			return binding.delete(`${prefix}${id}`);
+		}
+	};
+}
+
+/**
+ * D1 store: one row per failure, table created on first use
+ *
+ * @private
+ */
+function createD1Store({ binding, table }) {
+	let ready = null;
+	const ensureTable = () => {
+		if (!ready) {
+			ready = binding
+				.prepare(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, created_at INTEGER NOT NULL, record TEXT NOT NULL)`)
+				.run()
+				.catch(error => {
+					ready = null; // Try again on the next call
+					throw error;
+				});
+		}
+		return ready;
+	};
+
+	return {
+		async put(failureInfo) {
+			await ensureTable();
+			const timestamp = failureInfo.timestamp || Date.now();
+			await binding
+				.prepare(`INSERT INTO ${table} (id, created_at, record) VALUES (?, ?, ?)`)
+				.bind(recordId(timestamp), timestamp, JSON.stringify(failureInfo))
+				.run();
+		},
+		async list(limit) {
+			await ensureTable();
+			const { results } = await binding
+				.prepare(`SELECT id, record FROM ${table} ORDER BY created_at, id LIMIT ?`)
+				.bind(limit)
+				.all();
+			return results.map(row => ({ id: row.id, ...JSON.parse(row.record) }));
+		},
+		async delete(id) {
+			await binding.prepare(`DELETE FROM ${table} WHERE id = ?`).bind(id).run();
+		}
+	};
+}
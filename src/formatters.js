@@ -0,0 +1,453 @@
+/**
+ * Output formatters
+ *
+ * A formatter converts built GELF messages into another log format, so the same logger API can
+ * feed backends other than Graylog. A formatter is an object with:
+ * - format(gelfMessage) - Convert one GELF message into a record (object or string)
+ * - encode(records) - Build the { body, contentType } of one request carrying one or more records
+ *   (WebSocket and TCP transports send encode([record]).body per message)
+ * - frame(text) - Optional: frame one encoded message for TCP (default: GELF null-byte terminator)
+ */
+
+// Lowercase syslog severity names, indexed by GELF level
+const LEVEL_NAMES = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+// Syslog severity to OpenTelemetry SeverityNumber
+const OTLP_SEVERITY = [24, 23, 21, 17, 13, 10, 9, 5];
+
+// Datadog status values (syslog severities as Datadog spells them)
+const DATADOG_STATUS = ['emerg', 'alert', 'critical', 'error', 'warn', 'notice', 'info', 'debug'];
+
+// Well-known custom fields and where each format puts them; anything else is kept as a plain field
+const ECS_FIELDS = {
+	trace_id: 'trace.id',
+	span_id: 'span.id',
+	request_method: 'http.request.method',
+	request_path: 'url.path',
+	request_host: 'url.domain',
+	http_status: 'http.response.status_code',
+	client_ip: 'client.ip',
+	user_agent: 'user_agent.original',
+	country: 'client.geo.country_iso_code',
+	city: 'client.geo.city_name',
+	environment: 'service.environment',
+	exception_type: 'error.type',
+	exception_message: 'error.message',
+	exception_stack: 'error.stack_trace'
+};
+
+const OTLP_ATTRIBUTES = {
+	request_method: 'http.request.method',
+	request_path: 'url.path',
+	request_host: 'server.address',
+	http_status: 'http.response.status_code',
+	client_ip: 'client.address',
+	user_agent: 'user_agent.original',
+	environment: 'deployment.environment',
+	exception_type: 'exception.type',
+	exception_message: 'exception.message',
+	exception_stack: 'exception.stacktrace'
+};
+
+const DATADOG_FIELDS = {
+	request_method: 'http.method',
+	request_path: 'http.url_details.path',
+	request_host: 'http.url_details.host',
+	http_status: 'http.status_code',
+	client_ip: 'network.client.ip',
+	user_agent: 'http.useragent',
+	exception_type: 'error.kind',
+	exception_message: 'error.message',
+	exception_stack: 'error.stack'
+};
+
+// Keys each format sets itself; custom fields with these names are moved under `labels`
+const LOKI_RESERVED = ['message', 'full_message', 'labels'];
+const SPLUNK_RESERVED = ['message', 'severity', 'full_message', 'labels'];
+const DATADOG_RESERVED = ['ddsource', 'ddtags', 'hostname', 'service', 'status', 'message', 'full_message', 'timestamp', 'labels'];
+
+// Syslog facility codes (RFC 5424 section 6.2.1)
+const SYSLOG_FACILITIES = {
+	kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7, uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+	local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+/**
+ * Split a GELF message into its standard parts and its custom fields (without the _ prefix)
+ *
+ * @private
+ * @param {Object} message - GELF message object
+ * @returns {Object} { timestamp (ms), level, host, facility, shortMessage, fullMessage, fields }
+ */
+function parseGELF(message) {
+	const fields = {};
+	for (const [key, value] of Object.entries(message)) {
+		if (key.startsWith('_')) {
+			fields[key.slice(1)] = value;
+		}
+	}
+
+	return {
+		timestamp: typeof message.timestamp === 'number' ? Math.round(message.timestamp * 1000) : Date.now(),
+		level: message.level !== undefined ? message.level : 6,
+		host: message.host,
+		facility: message.facility,
+		shortMessage: message.short_message,
+		fullMessage: message.full_message,
+		fields
+	};
+}
+
+/**
+ * Set a value at a dotted path, creating objects along the way
+ *
+ * @private
+ * @param {Object} target - Object to write into
+ * @param {string} path - Dotted path (e.g. 'http.request.method')
+ * @param {*} value - Value to set
+ */
+function setPath(target, path, value) {
+	const keys = path.split('.');
+	let current = target;
+	for (const key of keys.slice(0, -1)) {
+		if (current[key] === null || typeof current[key] !== 'object') {
+			current[key] = {};
+		}
+		current = current[key];
+	}
+	current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Copy custom fields into a record without overwriting the record's own keys
+ * Fields named after a reserved key go under `labels` instead, as ECS does for unmapped fields.
+ *
+ * @private
+ * @param {Object} target - Record to write into
+ * @param {Object} fields - Custom fields (without the _ prefix)
+ * @param {Array<string>} reserved - Keys the format sets itself
+ */
+function assignFields(target, fields, reserved) {
+	for (const [key, value] of Object.entries(fields)) {
+		if (reserved.includes(key)) {
+			target.labels = { ...target.labels, [key]: value };
+		} else {
+			target[key] = value;
+		}
+	}
+}
+
+/**
+ * Convert milliseconds to a nanosecond timestamp string without losing precision
+ *
+ * @private
+ * @param {number} milliseconds - Epoch milliseconds
+ * @returns {string} Epoch nanoseconds
+ */
+function toNanoseconds(milliseconds) {
+	return (BigInt(milliseconds) * 1000000n).toString();
+}
+
+/**
+ * Encode records as a single JSON document (one record) or newline-delimited JSON
+ *
+ * @private
+ * @param {Array<Object>} records - Formatted records
+ * @returns {Object} { body, contentType }
+ */
+function encodeNDJSON(records) {
+	return records.length === 1
+		? { body: JSON.stringify(records[0]), contentType: 'application/json' }
+		: { body: records.map(record => JSON.stringify(record)).join('\n'), contentType: 'application/x-ndjson' };
+}
+
+/**
+ * Convert a value to an OTLP AnyValue
+ *
+ * @private
+ * @param {*} value - Field value
+ * @returns {Object} AnyValue
+ */
+function otlpValue(value) {
+	if (typeof value === 'boolean') {
+		return { boolValue: value };
+	}
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+	}
+	return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+/**
+ * Group items by a key, keeping first-seen order
+ *
+ * @private
+ * @param {Array} items - Items to group
+ * @param {Function} keyOf - item => string key
+ * @returns {Array<Array>} Groups
+ */
+function groupBy(items, keyOf) {
+	const groups = new Map();
+	for (const item of items) {
+		const key = keyOf(item);
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+		groups.get(key).push(item);
+	}
+	return [...groups.values()];
+}
+
+/**
+ * Make a syslog header field valid: printable US-ASCII without spaces, bounded length, '-' when empty
+ *
+ * @private
+ * @param {*} value - Header value
+ * @param {number} maxLength - Maximum length allowed by RFC 5424
+ * @returns {string} Header field
+ */
+function syslogHeaderField(value, maxLength) {
+	const field = String(value ?? '').replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+	return field || '-';
+}
+
+/**
+ * Escape a structured-data parameter value (RFC 5424 section 6.3.3)
+ * Line breaks are written as \n so every message stays on one line.
+ *
+ * @private
+ * @param {*} value - Field value
+ * @returns {string} Escaped value
+ */
+function syslogParamValue(value) {
+	const text = typeof value === 'string' ? value : JSON.stringify(value);
+	return text.replace(/[\\"\]]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Create an RFC 5424 syslog formatter
+ *
+ * The PRI combines the syslog facility with the GELF level (GELF levels are syslog severities),
+ * HOSTNAME is the GELF host and APP-NAME the GELF facility. `_log_session_id`, every custom
+ * field and full_message become parameters of one structured-data element, and short_message is
+ * the MSG. Over HTTP, messages are sent one per line; over TCP they use octet-counting framing (RFC 6587).
+ *
+ * @example
+ * new GELFLogger({ env, format: createSyslogFormatter({ facility: 'local3' }) });
+ *
+ * @param {Object} options - Formatter options
+ * @param {string|number} options.facility - Syslog facility name or code (default: the GELF facility if it is a syslog facility name, otherwise 'local0')
+ * @param {number} options.enterpriseId - Private enterprise number in the SD-ID (default: 32473, reserved for documentation)
+ * @param {string} options.sdName - Name part of the SD-ID (default: 'gelf')
+ * @returns {Object} Formatter
+ */
+export function createSyslogFormatter(options = {}) {
+	const { facility, enterpriseId = 32473, sdName = 'gelf' } = options;
+	const sdId = `${sdName}@${enterpriseId}`;
+
+	return {
+		format(message) {
+			const { timestamp, level, host, facility: appName, shortMessage, fullMessage, fields } = parseGELF(message);
+			if (fullMessage) {
+				fields.full_message = fullMessage;
+			}
+			const facilityCode = typeof facility === 'number'
+				? facility
+				: SYSLOG_FACILITIES[facility] ?? SYSLOG_FACILITIES[appName] ?? SYSLOG_FACILITIES.local0;
+
+			const params = Object.entries(fields)
+				.filter(([, value]) => value !== null && value !== undefined)
+				.map(([key, value]) => `${key.replace(/[^\x21-\x7e]|[= \]"]/g, '_').slice(0, 32)}="${syslogParamValue(value)}"`);
+			const structuredData = params.length > 0 ? `[${sdId} ${params.join(' ')}]` : '-';
+
+			const header = [
+				`<${facilityCode * 8 + level}>1`,
+				new Date(timestamp).toISOString(),
+				syslogHeaderField(host, 255),
+				syslogHeaderField(appName, 48),
+				'-',
+				'-'
+			].join(' ');
+
+			return `${header} ${structuredData} ${String(shortMessage).replace(/\r?\n/g, ' ')}`;
+		},
+		encode(records) {
+			return { body: records.join('\n'), contentType: 'text/plain; charset=utf-8' };
+		},
+		frame(text) {
+			return `${new TextEncoder().encode(text).length} ${text}`;
+		}
+	};
+}
+
+/**
+ * Built-in formatters, selected with the `format` option by name
+ */
+export const FORMATTERS = {
+	/**
+	 * GELF 1.1 (default)
+	 */
+	gelf: {
+		format: message => message,
+		encode: encodeNDJSON
+	},
+
+	/**
+	 * Elastic Common Schema, as NDJSON documents
+	 * @see https://www.elastic.co/guide/en/ecs/current/index.html
+	 */
+	ecs: {
+		format(message) {
+			const { timestamp, level, host, facility, shortMessage, fullMessage, fields } = parseGELF(message);
+			const record = {
+				'@timestamp': new Date(timestamp).toISOString(),
+				message: shortMessage,
+				ecs: { version: '8.11.0' },
+				log: { level: LEVEL_NAMES[level], syslog: { severity: { code: level, name: LEVEL_NAMES[level] } } },
+				host: { name: host },
+				service: { name: facility }
+			};
+			if (fullMessage) {
+				setPath(record, 'event.original', fullMessage);
+			}
+			for (const [key, value] of Object.entries(fields)) {
+				setPath(record, ECS_FIELDS[key] || `labels.${key}`, value);
+			}
+			return record;
+		},
+		encode: encodeNDJSON
+	},
+
+	/**
+	 * OpenTelemetry OTLP/HTTP JSON log records (POST to /v1/logs)
+	 * @see https://opentelemetry.io/docs/specs/otlp/#otlphttp
+	 */
+	otlp: {
+		format(message) {
+			const { timestamp, level, host, facility, shortMessage, fullMessage, fields } = parseGELF(message);
+			const { trace_id: traceId, span_id: spanId, ...rest } = fields;
+			const logRecord = {
+				timeUnixNano: toNanoseconds(timestamp),
+				severityNumber: OTLP_SEVERITY[level],
+				severityText: LEVEL_NAMES[level].toUpperCase(),
+				body: { stringValue: shortMessage },
+				attributes: []
+			};
+			if (traceId) logRecord.traceId = traceId;
+			if (spanId) logRecord.spanId = spanId;
+			if (fullMessage) {
+				logRecord.attributes.push({ key: 'full_message', value: otlpValue(fullMessage) });
+			}
+			for (const [key, value] of Object.entries(rest)) {
+				logRecord.attributes.push({ key: OTLP_ATTRIBUTES[key] || key, value: otlpValue(value) });
+			}
+			return { resource: { host, facility }, logRecord };
+		},
+		encode(records) {
+			// One resource per host/facility pair (an aggregator forwards several hosts)
+			const resourceLogs = groupBy(records, record => `${record.resource.host}\n${record.resource.facility}`).map(group => ({
+				resource: {
+					attributes: [
+						{ key: 'service.name', value: otlpValue(group[0].resource.facility) },
+						{ key: 'host.name', value: otlpValue(group[0].resource.host) }
+					]
+				},
+				scopeLogs: [{
+					scope: { name: '@walsys/cloudflare_worker-gelf_logger' },
+					logRecords: group.map(record => record.logRecord)
+				}]
+			}));
+			return { body: JSON.stringify({ resourceLogs }), contentType: 'application/json' };
+		}
+	},
+
+	/**
+	 * Grafana Loki push API (POST to /loki/api/v1/push)
+	 * Labels are kept low-cardinality (host, service_name, level); everything else goes in the JSON log line.
+	 * @see https://grafana.com/docs/loki/latest/reference/loki-http-api/#ingest-logs
+	 */
+	loki: {
+		format(message) {
+			const { timestamp, level, host, facility, shortMessage, fullMessage, fields } = parseGELF(message);
+			const line = { message: shortMessage };
+			if (fullMessage) {
+				line.full_message = fullMessage;
+			}
+			assignFields(line, fields, LOKI_RESERVED);
+			return {
+				labels: { host, service_name: facility, level: LEVEL_NAMES[level] },
+				value: [toNanoseconds(timestamp), JSON.stringify(line)]
+			};
+		},
+		encode(records) {
+			const streams = groupBy(records, record => JSON.stringify(record.labels)).map(group => ({
+				stream: group[0].labels,
+				values: group.map(record => record.value)
+			}));
+			return { body: JSON.stringify({ streams }), contentType: 'application/json' };
+		}
+	},
+
+	/**
+	 * Splunk HTTP Event Collector events (POST to /services/collector/event)
+	 * @see https://docs.splunk.com/Documentation/Splunk/latest/Data/FormateventsforHTTPEventCollector
+	 */
+	splunk: {
+		format(message) {
+			const { timestamp, level, host, facility, shortMessage, fullMessage, fields } = parseGELF(message);
+			const event = { message: shortMessage, severity: LEVEL_NAMES[level] };
+			if (fullMessage) {
+				event.full_message = fullMessage;
+			}
+			assignFields(event, fields, SPLUNK_RESERVED);
+			return {
+				time: timestamp / 1000,
+				host,
+				source: facility,
+				sourcetype: '_json',
+				event
+			};
+		},
+		encode(records) {
+			// HEC batches are concatenated events
+			return { body: records.map(record => JSON.stringify(record)).join('\n'), contentType: 'application/json' };
+		}
+	},
+
+	/**
+	 * Datadog log intake (POST to /api/v2/logs)
+	 * @see https://docs.datadoghq.com/api/latest/logs/#send-logs
+	 */
+	datadog: {
+		format(message) {
+			const { timestamp, level, host, facility, shortMessage, fullMessage, fields } = parseGELF(message);
+			const record = {
+				ddsource: 'cloudflare-workers',
+				hostname: host,
+				service: facility,
+				status: DATADOG_STATUS[level],
+				message: shortMessage,
+				timestamp
+			};
+			if (fields.environment) {
+				record.ddtags = `env:${fields.environment}`;
+			}
+			if (fullMessage) {
+				record.full_message = fullMessage;
+			}
+			for (const [key, value] of Object.entries(fields)) {
+				setPath(record, DATADOG_FIELDS[key] || (DATADOG_RESERVED.includes(key.split('.')[0]) ? `labels.${key}` : key), value);
+			}
+			return record;
+		},
+		encode(records) {
+			return { body: JSON.stringify(records), contentType: 'application/json' };
+		}
+	},
+
+	/**
+	 * RFC 5424 syslog lines (see createSyslogFormatter() to choose the facility or SD-ID)
+	 * @see https://www.rfc-editor.org/rfc/rfc5424
+	 */
+	syslog: createSyslogFormatter()
+};
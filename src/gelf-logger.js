@@ -1,4 +1,6 @@
 import { AsyncLocalStorage } from 'node:async_hooks';
+import { FORMATTERS } from './formatters.js';
+import { createDeadLetterStore, detectStoreKind } from './dead-letter.js';
 
 /**
  * GELF (Graylog Extended Log Format) Logger for Cloudflare Workers
@@ -13,12 +15,59 @@ import { AsyncLocalStorage } from 'node:async_hooks';
  * - Context-aware logging
  * - Optional console method overloading for automatic GELF forwarding
  * - Session ID tracking for multi-instance function message segmentation
+ * - Optional batching of HTTP messages into a single request
+ * - Optional HTTP retries with exponential backoff and jitter
+ * - Optional gzip/deflate compression of HTTP bodies
+ * - Optional strict GELF 1.1 field validation with diagnostics
+ * - Optional message size limits with truncation
+ * - Optional flattening of nested custom fields
+ * - Safe serialization of circular, BigInt, Map/Set, Date and Error values
+ * - Optional sensitive data redaction (key names and value patterns)
+ * - W3C traceparent / B3 trace context extraction and propagation
+ * - Tail Worker consumer that forwards TraceItems from other workers
+ * - Durable Object aggregator transport sharing one upstream connection
+ * - Cloudflare Queues transport for durable delivery
+ * - Service binding transport for Worker-based ingestion proxies
+ * - Raw GELF TCP transport (null-byte framing, optional TLS) via cloudflare:sockets
+ * - Fan-out to multiple sinks with per-sink level, filter, transport and stats
+ * - Pluggable output formats: ECS, OTLP logs, Loki, Splunk HEC, Datadog, RFC 5424 syslog
+ * - Optional persistent dead-letter store (KV, R2 or D1) with replay of failed messages
+ * - Optional "debug on error" ring buffer of below-level messages, emitted only when an error occurs
+ * - Optional per-level log sampling, consistent per session, never applied to ERROR and above
+ * - Optional rate limiting per level, with repeated messages collapsed into a summary
+ * - Runtime level control: setLevel(), KV-stored levels and WebSocket `set_level` messages
+ * - Per-request debug override via a signed, expiring request header
  */
 
 export class GELFLogger {
 	// AsyncLocalStorage for global context management
 	static #storage = new AsyncLocalStorage();
 
+	// Additional field names allowed by the GELF 1.1 spec (after the _ prefix)
+	static #FIELD_NAME_PATTERN = /^[\w\.\-]*$/;
+
+	// Maximum number of distinct offending keys tracked in diagnostics
+	static #MAX_DIAGNOSTIC_KEYS = 100;
+
+	// Sink lists built by _createSinks, so child loggers can share them instead of rebuilding
+	static #builtSinks = new WeakSet();
+
+	// Messages being re-sent by replayFailed(), so a failed replay doesn't store them a second time
+	static #replaying = new WeakSet();
+
+	// Levels read from KV ({ level, expires }), per binding and lookup keys, shared by every logger in the isolate
+	static #levelCache = new WeakMap();
+
+	// How long a KV level read in progress keeps other requests from starting their own (ms)
+	// A read cancelled with the request that started it is retried by the next request after this.
+	static #LEVEL_READ_TIMEOUT = 5000;
+
+	// node:crypto, loaded on first HMAC (undefined until then, null if unavailable)
+	static #nodeCrypto;
+
+	// Whether a debugOverride misconfiguration was already reported in this isolate
+	static #debugOverrideWarned = false;
+
 	/**
 	 * GELF Log Levels (Syslog severity)
 	 * @see https://en.wikipedia.org/wiki/Syslog#Severity_level
@@ -34,24 +83,135 @@ export class GELFLogger {
 		DEBUG: 7       // Debug-level messages
 	};
 
+	/**
+	 * Built-in value patterns for redaction
+	 * `validate` (optional) filters out regex matches that are not real secrets.
+	 */
+	static REDACTION_PATTERNS = {
+		credit_card: {
+			regex: /\b(?:\d[ -]?){12,18}\d\b/g,
+			validate: match => GELFLogger._luhnCheck(match.replace(/\D/g, ''))
+		},
+		jwt: {
+			regex: /\beyJ[\w-]*\.[\w-]*\.[\w-]*/g
+		},
+		email: {
+			regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+		}
+	};
+
+	/**
+	 * Built-in output formatters, selectable with the `format` option
+	 * A custom formatter is an object with format(gelfMessage) and encode(records) => { body, contentType }.
+	 */
+	static FORMATTERS = FORMATTERS;
+
 	/**
 	 * Create a new GELF Logger instance
 	 *
 	 * @param {Object} config - Configuration object
 	 * @param {Object} config.env - Cloudflare Worker env object (automatically uses env.GELF_LOGGING_URL, env.WORKER_NAME, env.ENVIRONMENT, env.FUNCTION_NAME, env.LOG_SESSION_ID, env.ACCESS_ID, env.ACCESS_SECRET)
-	 * @param {Request} config.request - Optional Cloudflare Request object (extracts colo, IP, longitude, latitude from request.cf)
+	 * @param {Request} config.request - Optional Cloudflare Request object (extracts colo, IP, longitude, latitude from request.cf, and trace context from traceparent/tracestate or B3 headers)
+	 * @param {ScheduledController} config.scheduledController - Optional cron trigger controller (extracts cron and scheduledTime)
+	 * @param {MessageBatch} config.messageBatch - Optional Queue consumer batch (extracts queue name, batch size, message ids and attempts)
+	 * @param {ForwardableEmailMessage} config.emailMessage - Optional Email Worker message (extracts from, to and size)
+	 * @param {Array<TraceItem>} config.tailEvents - Optional Tail Worker events (extracts event count and script names)
 	 * @param {string} config.log_session_id - Optional session ID (UUID) to segment messages. Defaults to env.LOG_SESSION_ID or generates new UUID.
 	 * @param {string} config.endpoint - GELF HTTP endpoint URL (optional - will use env.GELF_LOGGING_URL if not provided)
 	 * @param {boolean} config.useWebSocket - Use WebSocket instead of HTTP (default: false)
 	 * @param {string} config.wsEndpoint - WebSocket endpoint URL (required if useWebSocket is true)
+	 * @param {boolean|Object} config.aggregator - Send messages to a GELFAggregator Durable Object instead of the HTTP endpoint (default: false)
+	 * @param {DurableObjectNamespace} config.aggregator.binding - Aggregator namespace binding (default: env.GELF_AGGREGATOR)
+	 * @param {string} config.aggregator.name - Aggregator instance name; one upstream connection per name (default: 'default')
+	 * @param {string|Object} config.format - Output format: 'gelf', 'ecs', 'otlp', 'loki', 'splunk', 'datadog', 'syslog' or a custom formatter (default: 'gelf')
+	 * @param {Object} config.headers - Extra HTTP headers for every request, e.g. API keys for non-GELF backends (default: none)
+	 * @param {boolean} config.access - Send env.ACCESS_ID / env.ACCESS_SECRET as Cloudflare Access headers (default: true, except for a non-GELF format sent to an endpoint other than env.GELF_LOGGING_URL)
+	 * @param {Array<Object>} config.sinks - Fan messages out to several destinations instead of one transport (default: none)
+	 * @param {string} config.sinks[].name - Sink name used in getStats().sinks (default: 'sink1', 'sink2', ...)
+	 * @param {number} config.sinks[].minLevel - Least severe level the sink receives (default: INFO)
+	 * @param {Function} config.sinks[].filter - (gelfMessage) => boolean; the sink only receives messages it returns true for
+	 * @param {boolean} config.sinks[].console - Write to the console instead of a transport
+	 * @param {boolean} config.sinks[].access - Send the Cloudflare Access headers to this sink (default: only if its endpoint is env.GELF_LOGGING_URL)
+	 * @param {boolean|string|Object} config.tcp - Send over GELF TCP with cloudflare:sockets; 'host:port' or an object (default: false)
+	 * @param {string} config.tcp.hostname - Graylog GELF TCP input host (default: from env.GELF_TCP_ADDRESS)
+	 * @param {number} config.tcp.port - Graylog GELF TCP input port (default: 12201)
+	 * @param {boolean} config.tcp.tls - Connect with TLS (secureTransport: 'on') (default: false)
+	 * @param {number} config.tcp.maxReconnectAttempts - Reconnects after a dropped connection, with exponential backoff (default: 5)
+	 * @param {number} config.tcp.maxQueueSize - Messages kept while disconnected; the oldest are dropped beyond it (default: 1000)
+	 * @param {boolean|Object} config.service - Send HTTP payloads through a service binding instead of public HTTP (default: false)
+	 * @param {Fetcher} config.service.binding - Service binding to the ingestion Worker (default: env.GELF_SERVICE)
+	 * @param {string} config.service.url - URL passed to binding.fetch(); only its path matters to the target (default: endpoint, or 'https://gelf-service/')
+	 * @param {boolean|Object} config.queue - Enqueue messages to a Cloudflare Queue instead of sending them (default: false)
+	 * @param {Queue} config.queue.binding - Queue producer binding (default: env.GELF_QUEUE)
 	 * @param {string} config.host - Hostname identifier (default: worker name from env.WORKER_NAME or 'cloudflare-worker')
 	 * @param {string} config.facility - Facility/application name (default: 'worker')
 	 * @param {Object} config.globalFields - Global custom fields to include in all logs
 	 * @param {number} config.minLevel - Minimum log level to send (default: INFO)
+	 * @param {boolean|Object} config.debugOverride - Log at DEBUG for requests carrying a valid signed header (see signDebugOverride()) (default: false)
+	 * @param {string} config.debugOverride.secret - HMAC secret (default: env.GELF_DEBUG_SECRET)
+	 * @param {string} config.debugOverride.header - Request header holding the token (default: 'x-gelf-debug')
+	 * @param {number|string} config.debugOverride.level - Level used for overridden requests (default: DEBUG)
+	 * @param {number} config.debugOverride.maxTtl - Tokens expiring further than this many seconds ahead are rejected (default: 3600)
+	 * @param {string} config.debugOverride.scope - Scope tokens must be signed for (default: host)
+	 * @param {boolean|Object} config.levelStore - Read the minimum level from a KV namespace, overriding minLevel (default: false)
+	 * @param {KVNamespace} config.levelStore.binding - KV namespace binding (default: env.GELF_LEVEL_STORE)
+	 * @param {number} config.levelStore.ttl - Seconds a level read from KV is cached (default: 60)
+	 * @param {string} config.levelStore.prefix - Key prefix; keys are <prefix><worker>[/<environment>[/<function>]] (default: 'gelf-level/')
+	 * @param {boolean|Object} config.debugOnError - Buffer messages below minLevel and send them only if an error follows (default: false)
+	 * @param {number} config.debugOnError.size - Buffered messages kept per session; the oldest are dropped first (default: 100)
+	 * @param {number} config.debugOnError.triggerLevel - Level at or above which the buffer is sent (default: ERROR)
+	 * @param {number|Object} config.sampling - Keep only a fraction of sessions' messages below ERROR; a number is the rate for every such level (default: no sampling)
+	 * @param {number} config.sampling.rate - Rate (0-1) for levels without their own rate (default: 1)
+	 * @param {Object} config.sampling.rates - Rates by level name or number, e.g. { INFO: 0.1, DEBUG: 0.01 }; ERROR and above are never sampled
+	 * @param {boolean|Object} config.rateLimit - Token-bucket rate limiting per level and per repeated message (default: false)
+	 * @param {number} config.rateLimit.rate - Messages per second allowed per level (default: 100)
+	 * @param {number} config.rateLimit.burst - Messages allowed at once per level (default: 200)
+	 * @param {Object} config.rateLimit.levels - Per-level overrides by level name or number, e.g. { DEBUG: { rate: 10, burst: 20 } }
+	 * @param {Object} config.rateLimit.duplicates - Bucket for identical messages (same level, short_message and custom fields); repeats are collapsed into a summary (default: { rate: 1, burst: 1 })
+	 * @param {Function} config.rateLimit.duplicates.key - (level, shortMessage, customFields) => string; messages with the same key count as repeats (default: all three)
+	 * @param {number} config.rateLimit.maxTracked - Distinct messages tracked for collapsing; least recent are dropped first (default: 1000)
 	 * @param {boolean} config.consoleLog - Also log to console (default: true)
 	 * @param {boolean} config.overloadConsole - Overload global console methods to forward logs to GELF (default: false)
 	 * @param {number} config.timeout - Request timeout in ms (default: 5000)
 	 * @param {number} config.maxFailedMessages - Maximum failed messages to track (default: 50)
+	 * @param {boolean|Object} config.deadLetter - Also persist failed messages to a KV, R2 or D1 binding for replayFailed() (default: false)
+	 * @param {KVNamespace|R2Bucket|D1Database} config.deadLetter.binding - Storage binding (default: env.GELF_DEAD_LETTER_STORE)
+	 * @param {string} config.deadLetter.prefix - Key prefix for KV and R2 (default: 'gelf-dead-letter/')
+	 * @param {number} config.deadLetter.ttl - Seconds before stored messages expire, KV only (default: never)
+	 * @param {string} config.deadLetter.table - D1 table, created if missing (default: 'gelf_dead_letters')
+	 * @param {boolean|Object} config.batch - Buffer HTTP messages and send them in one request (default: false)
+	 * @param {number} config.batch.maxMessages - Send the batch once it holds this many messages (default: 50)
+	 * @param {number} config.batch.maxBytes - Send the batch once its payload reaches this many bytes (default: 1048576)
+	 * @param {number} config.batch.maxWait - Send the batch this many ms after its first message (default: 1000)
+	 * @param {string} config.batch.format - Batch body format: 'ndjson' or 'json_array' (default: 'ndjson')
+	 * @param {boolean|Object} config.retry - Retry failed HTTP sends with exponential backoff (default: false)
+	 * @param {number} config.retry.maxAttempts - Total attempts including the first one (default: 3)
+	 * @param {number} config.retry.baseDelay - Delay before the first retry in ms, doubled on each retry (default: 100)
+	 * @param {number} config.retry.maxDelay - Upper bound for the backoff delay in ms (default: 2000)
+	 * @param {number} config.retry.jitter - Fraction of the delay randomly removed, 0 to 1 (default: 0.5)
+	 * @param {Array<number>} config.retry.retryOn - HTTP statuses that trigger a retry (default: 408, 425, 429, 500, 502, 503, 504)
+	 * @param {boolean} config.retry.respectRetryAfter - Wait at least as long as the Retry-After header asks (default: true)
+	 * @param {string|Object} config.compression - Compress HTTP bodies with CompressionStream: 'gzip' or 'deflate' (default: none)
+	 * @param {string} config.compression.encoding - Content-Encoding to use: 'gzip' or 'deflate' (default: 'gzip')
+	 * @param {number} config.compression.threshold - Only compress bodies of at least this many bytes (default: 1024)
+	 * @param {boolean|Object} config.strict - Enforce GELF 1.1 additional field rules (default: false)
+	 * @param {string} config.strict.invalidKeys - What to do with keys not matching ^[\w\.\-]*$: 'sanitize' or 'drop' (default: 'sanitize')
+	 * @param {boolean|Object} config.limits - Truncate oversized messages (default: false)
+	 * @param {number} config.limits.shortMessage - Maximum short_message size in bytes (default: 1024)
+	 * @param {number} config.limits.fullMessage - Maximum full_message size in bytes (default: 32768)
+	 * @param {number} config.limits.field - Maximum size of each additional string field in bytes (default: 8192)
+	 * @param {number} config.limits.message - Maximum serialized message size in bytes (default: 65536)
+	 * @param {boolean|Object} config.flatten - Flatten object custom fields into separate fields instead of JSON strings (default: false)
+	 * @param {string} config.flatten.separator - Separator between key segments: '_' or '.' (default: '_')
+	 * @param {number} config.flatten.maxDepth - Nesting depth to flatten; deeper values are JSON strings (default: 3)
+	 * @param {number} config.flatten.maxKeys - Maximum fields produced per custom field; above this the field is a JSON string (default: 50)
+	 * @param {Function} config.serializer - Converts objects in full_message and custom fields to strings (default: GELFLogger.serialize)
+	 * @param {boolean|Object} config.redact - Redact sensitive data before sending (default: false)
+	 * @param {Array<string|Object>} config.redact.keys - Field name patterns, `*` as wildcard, case-insensitive (default: common secret names)
+	 * @param {Array<string|RegExp|Object>} config.redact.values - Value patterns: built-in names ('credit_card', 'jwt', 'email') or RegExps (default: credit_card, jwt)
+	 * @param {string} config.redact.strategy - 'mask', 'remove' or 'hash' (default: 'mask')
+	 * @param {string} config.redact.secret - HMAC secret for the 'hash' strategy (default: env.GELF_REDACTION_SECRET)
+	 * @param {string} config.redact.mask - Replacement text for the 'mask' strategy (default: '[REDACTED]')
 	 */
 	constructor(config = {}) {
 		// Generate a unique session ID for this logger instance
@@ -70,8 +230,37 @@ export class GELFLogger {
 		// Endpoint configuration - automatically use env.GELF_LOGGING_URL if available
 		this.endpoint = config.endpoint || config.env?.GELF_LOGGING_URL;
 
+		// Durable Object aggregator (HTTP payloads go to the aggregator instead of the endpoint)
+		this.aggregator = GELFLogger._resolveAggregatorConfig(config.aggregator, config.env);
+		if (this.aggregator) {
+			// The aggregator owns the upstream connection; this instance only talks to the binding
+			this.useWebSocket = false;
+		}
+
+		// Cloudflare Queues producer (delivery happens later in createGELFQueueConsumer)
+		this.queue = GELFLogger._resolveQueueConfig(config.queue, config.env);
+		if (this.queue) {
+			this.useWebSocket = false;
+		}
+
+		// Service binding (HTTP payloads go to binding.fetch() instead of public HTTP)
+		this.service = GELFLogger._resolveServiceConfig(config.service, config.env, this.endpoint);
+		if (this.service) {
+			this.useWebSocket = false;
+		}
+
+		// GELF TCP transport (connection state is shared with child loggers)
+		this.tcp = GELFLogger._resolveTCPConfig(config.tcp, config.env);
+		this.tcpState = { socket: null, writer: null, queue: [], connecting: null, reconnectAttempts: 0 };
+		if (this.tcp) {
+			this.useWebSocket = false;
+		}
+
+		// Fan-out sinks (each has its own transport; this instance only builds messages)
+		this.sinks = GELFLogger._createSinks(config.sinks, config);
+
 		// Validate endpoint
-		if (!this.useWebSocket && (!this.endpoint || typeof this.endpoint !== 'string')) {
+		if (!this.useWebSocket && !this.aggregator && !this.queue && !this.service && !this.tcp && !this.sinks && (!this.endpoint || typeof this.endpoint !== 'string')) {
 			console.error('GELFLogger: No endpoint provided. Set GELF_LOGGING_URL environment variable or pass endpoint in config.');
 			this.endpoint = null;
 		}
@@ -80,9 +269,25 @@ export class GELFLogger {
 			console.error('GELFLogger: wsEndpoint is required when useWebSocket is true.');
 		}
 
+		// Output format (null means plain GELF) and extra HTTP headers
+		this.formatter = GELFLogger._resolveFormatter(config.format);
+		this.headers = config.headers || {};
+
+		// The aggregator only ingests GELF; it applies its own format on the way upstream
+		if (this.aggregator && this.formatter) {
+			console.error('GELFLogger: format is ignored with aggregator, which only accepts GELF. Pass format to GELFAggregator instead.');
+			this.formatter = null;
+		}
+
 		// Cloudflare Access credentials for service authentication
-		this.accessId = config.env?.ACCESS_ID;
-		this.accessSecret = config.env?.ACCESS_SECRET;
+		// (a non-GELF format sent elsewhere targets Datadog, Splunk, ..., which must not receive them)
+		const access = config.access !== undefined
+			? config.access
+			: !this.formatter || this.endpoint === config.env?.GELF_LOGGING_URL;
+		if (access) {
+			this.accessId = config.env?.ACCESS_ID;
+			this.accessSecret = config.env?.ACCESS_SECRET;
+		}
 
 		// GELF required fields with Cloudflare Worker defaults
 		// host: Use WORKER_NAME from env if available, otherwise fall back to generic name
@@ -92,6 +297,12 @@ export class GELFLogger {
 		// Extract Cloudflare-specific context from env and request
 		this.cfContext = {};
 
+		// W3C / B3 trace context (only set when a request is provided)
+		this.trace = null;
+
+		// Per-request debug override (only set when the request carries a valid signed header)
+		this.debugOverride = null;
+
 		// Optional: Environment name
 		if (config.env?.ENVIRONMENT) {
 			this.cfContext.environment = config.env.ENVIRONMENT;
@@ -125,6 +336,30 @@ export class GELFLogger {
 				}
 			}
 
+			// Trace context: continue the caller's trace, or start a new one
+			const incoming = config.request.headers ? GELFLogger._parseTraceHeaders(config.request.headers) : null;
+			this.trace = incoming
+				? {
+					traceId: incoming.traceId,
+					spanId: GELFLogger._randomHex(8),
+					parentSpanId: incoming.spanId,
+					sampled: incoming.sampled,
+					traceState: incoming.traceState,
+					format: incoming.format
+				}
+				: {
+					traceId: GELFLogger._randomHex(16),
+					spanId: GELFLogger._randomHex(8),
+					parentSpanId: null,
+					sampled: true,
+					traceState: null,
+					format: 'w3c'
+				};
+			this._applyTraceContext();
+
+			// Signed debug override header: lower the level for this request only
+			this.debugOverride = GELFLogger._verifyDebugOverride(config.request, config.debugOverride, config.env, this.host);
+
 			// Cloudflare specific context
 			if (config.request.cf) {
 				const cf = config.request.cf;
@@ -151,31 +386,213 @@ export class GELFLogger {
 			}
 		}
 
+		// Optional: Extract cron trigger context
+		if (config.scheduledController) {
+			const controller = config.scheduledController;
+			this.cfContext.event_type = 'scheduled';
+			if (controller.cron) this.cfContext.cron = controller.cron;
+			if (controller.scheduledTime !== undefined) {
+				this.cfContext.scheduled_time = new Date(controller.scheduledTime).toISOString();
+			}
+		}
+
+		// Optional: Extract Queue consumer context
+		if (config.messageBatch) {
+			const batch = config.messageBatch;
+			const messages = batch.messages || [];
+			this.cfContext.event_type = 'queue';
+			if (batch.queue) this.cfContext.queue_name = batch.queue;
+			this.cfContext.queue_batch_size = messages.length;
+			if (messages.length > 0) {
+				// Cap the id list so large batches don't produce huge fields
+				this.cfContext.queue_message_ids = messages.slice(0, 100).map(message => message.id).join(',');
+				this.cfContext.queue_max_attempts = Math.max(...messages.map(message => message.attempts || 1));
+			}
+		}
+
+		// Optional: Extract Email Worker context
+		if (config.emailMessage) {
+			const email = config.emailMessage;
+			this.cfContext.event_type = 'email';
+			if (email.from) this.cfContext.email_from = email.from;
+			if (email.to) this.cfContext.email_to = email.to;
+			if (email.rawSize !== undefined) this.cfContext.email_size = email.rawSize;
+		}
+
+		// Optional: Extract Tail Worker context
+		if (config.tailEvents) {
+			const events = config.tailEvents;
+			this.cfContext.event_type = 'tail';
+			this.cfContext.tail_event_count = events.length;
+			const scriptNames = [...new Set(events.map(event => event.scriptName).filter(Boolean))];
+			if (scriptNames.length > 0) this.cfContext.tail_script_names = scriptNames.join(',');
+		}
+
 		// Configuration
 		this.globalFields = config.globalFields || {};
-		this.minLevel = config.minLevel !== undefined ? config.minLevel : GELFLogger.LEVELS.INFO;
+		// With sinks, default to the most verbose sink level so every sink gets what it asked for
+		this.minLevel = config.minLevel !== undefined
+			? config.minLevel
+			: this.sinks
+				? Math.max(...this.sinks.map(sink => sink.minLevel))
+				: GELFLogger.LEVELS.INFO;
+
+		// Runtime level overrides (shared with child loggers): setLevel() / set_level, then the KV level
+		this.levelControl = { level: null, storeEntry: null, pending: null };
+		this.levelStore = GELFLogger._resolveLevelStoreConfig(config.levelStore, config.env);
 		this.consoleLog = config.consoleLog !== undefined ? config.consoleLog : true;
 		this.overloadConsole = config.overloadConsole !== undefined ? config.overloadConsole : false; // New config option
 		this.timeout = config.timeout || 5000;
 
+		// Batching configuration (HTTP transport only)
+		this.batch = GELFLogger._resolveBatchConfig(config.batch);
+		this.batchQueue = { entries: [], bytes: 0, timer: null };
+		this.batchStats = GELFLogger._emptyBatchStats();
+
+		// Retry configuration (HTTP transport only)
+		// Retries share the send's `timeout` budget, so flush() never waits longer than without retries
+		this.retry = GELFLogger._resolveRetryConfig(config.retry);
+		this.retryStats = GELFLogger._emptyRetryStats();
+
+		// Debug-on-error ring buffer (shared with child loggers, like the rest of the session)
+		this.debugOnError = GELFLogger._resolveDebugOnErrorConfig(config.debugOnError);
+		this.debugBuffer = { entries: [] };
+		this.debugBufferStats = GELFLogger._emptyDebugBufferStats();
+
+		// Log sampling (decided per session, so a sampled request keeps all of its lines)
+		this.sampling = GELFLogger._resolveSamplingConfig(config.sampling);
+
+		// Rate limiting (token buckets are shared with child loggers)
+		this.rateLimit = GELFLogger._resolveRateLimitConfig(config.rateLimit);
+		this.rateLimitState = { levels: new Map(), messages: new Map() };
+		this.rateLimitStats = GELFLogger._emptyRateLimitStats();
+
+		// Compression configuration (HTTP transport only)
+		this.compression = GELFLogger._resolveCompressionConfig(config.compression);
+
+		// Strict GELF field validation
+		this.strict = GELFLogger._resolveStrictConfig(config.strict);
+		this.diagnostics = GELFLogger._emptyDiagnostics();
+
+		// Message size limits
+		this.limits = GELFLogger._resolveLimitsConfig(config.limits);
+
+		// Nested object flattening for custom fields
+		this.flatten = GELFLogger._resolveFlattenConfig(config.flatten);
+
+		// Serializer for object values in full_message and custom fields
+		this.serializer = typeof config.serializer === 'function' ? config.serializer : GELFLogger.serialize;
+
+		// Sensitive data redaction
+		this.redact = GELFLogger._resolveRedactConfig(config.redact, config.env);
+		if (this.redact && this.redact.missingSecret) {
+			console.error('GELFLogger: redact strategy "hash" requires a secret and node:crypto. Set GELF_REDACTION_SECRET or pass redact.secret, and enable the nodejs_compat compatibility flag; falling back to "mask".');
+		}
+
 		// Internal state (non-blocking promise tracking)
 		this.pendingPromises = [];
 		this.stats = {
 			sent: 0,
 			failed: 0,
-			skipped: 0
+			skipped: 0,
+			sampled: 0,
+			truncated: 0,
+			redacted: 0
 		};
 
+		// Start reading the KV level (after pendingPromises exists, so flush() waits for the read)
+		if (this.levelStore) {
+			this.refreshLevel();
+		}
+
 		// Track failed messages for debugging
 		this.failedMessages = [];
 		this.maxFailedMessages = config.maxFailedMessages || 50; // Limit to prevent memory issues
 
+		// Persistent dead-letter store (failures outlive the isolate and can be replayed)
+		this.deadLetter = GELFLogger._resolveDeadLetterConfig(config.deadLetter, config.env);
+		this.deadLetterPending = [];
+		this.deadLetterStats = GELFLogger._emptyDeadLetterStats();
+
 		// Setup console overloading if enabled
 		if (this.overloadConsole) {
 			GELFLogger._setupConsoleOverload(this);
 		}
 	}
 
+	/**
+	 * Safely serialize any value to a JSON string
+	 * Handles circular references, BigInt, Map/Set, typed arrays, Dates (ISO) and Errors
+	 * (name/message/stack/cause) which JSON.stringify would throw on or lose.
+	 *
+	 * @param {*} value - Value to serialize
+	 * @returns {string} JSON string
+	 */
+	static serialize(value) {
+		const normalize = (current, ancestors) => {
+			if (typeof current === 'bigint' || typeof current === 'symbol') {
+				return current.toString();
+			}
+			if (typeof current === 'function') {
+				return `[Function: ${current.name || 'anonymous'}]`;
+			}
+			if (current === null || typeof current !== 'object') {
+				return current;
+			}
+
+			if (current instanceof Date) {
+				return Number.isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString();
+			}
+			if (ancestors.includes(current)) {
+				return '[Circular]';
+			}
+
+			const path = [...ancestors, current];
+			if (current instanceof Error) {
+				const error = { name: current.name, message: current.message, stack: current.stack };
+				if (current.cause !== undefined) {
+					error.cause = normalize(current.cause, path);
+				}
+				for (const [key, child] of Object.entries(current)) {
+					error[key] = normalize(child, path);
+				}
+				return error;
+			}
+			if (current instanceof Map) {
+				const entries = {};
+				for (const [key, child] of current) {
+					entries[typeof key === 'object' && key !== null ? JSON.stringify(normalize(key, path)) : String(key)] = normalize(child, path);
+				}
+				return entries;
+			}
+			if (current instanceof Set) {
+				return [...current].map(child => normalize(child, path));
+			}
+			if (current instanceof ArrayBuffer) {
+				return Array.from(new Uint8Array(current));
+			}
+			if (ArrayBuffer.isView(current)) {
+				const view = current instanceof DataView ? new Uint8Array(current.buffer, current.byteOffset, current.byteLength) : current;
+				return Array.from(view, child => normalize(child, path));
+			}
+			if (Array.isArray(current)) {
+				return current.map(child => normalize(child, path));
+			}
+			if (typeof current.toJSON === 'function') {
+				return normalize(current.toJSON(), path);
+			}
+
+			const object = {};
+			for (const [key, child] of Object.entries(current)) {
+				object[key] = normalize(child, path);
+			}
+			return object;
+		};
+
+		const serialized = JSON.stringify(normalize(value, []));
+		return serialized === undefined ? String(value) : serialized;
+	}
+
 	/**
 	 * Get the current logger instance from the async context
 	 * Useful for accessing the logger without passing it around
@@ -207,6 +624,14 @@ export class GELFLogger {
 	 * @returns {Object} GELF message object
 	 */
 	_buildGELFMessage(level, shortMessage, fullMessage = null, customFields = {}) {
+		// Redact sensitive keys inside objects before they are serialized
+		if (this.redact) {
+			customFields = this._redactObject(customFields, []);
+			if (fullMessage !== null && typeof fullMessage === 'object') {
+				fullMessage = this._redactObject(fullMessage, []);
+			}
+		}
+
 		// GELF 1.1 specification message
 		const message = {
 			version: '1.1',                          // GELF spec version
@@ -218,16 +643,17 @@ export class GELFLogger {
 			_log_session_id: this.log_session_id     // Unique session ID for this logger instance
 		};
 
+		// Mark messages logged under a debug override, so they can be told apart from normal volume
+		if (this.debugOverride) {
+			message._debug_override = true;
+		}
+
 		// Add full message if provided
 		if (fullMessage) {
 			//attempt to parse fullMessage as string
 			if (typeof fullMessage !== 'string') {
 				//handle if json
-				try {
-					fullMessage = JSON.stringify(fullMessage);
-				} catch (e) {
-					fullMessage = String(fullMessage);
-				}
+				fullMessage = this._serialize(fullMessage);
 			}
 			message.full_message = String(fullMessage);
 		}
@@ -256,708 +682,3212 @@ export class GELFLogger {
 			const fieldName = key.startsWith('_') ? key : `_${key}`;
 
 			// Handle different data types
-			if (value === null || value === undefined) {
-				message[fieldName] = null;
-			} else if (typeof value === 'object') {
-				// Serialize objects as JSON strings
-				try {
-					message[fieldName] = JSON.stringify(value);
-				} catch (e) {
-					message[fieldName] = String(value);
-				}
+			if (this.flatten && value !== null && typeof value === 'object' && GELFLogger._isFlattenable(value)) {
+				// Flatten nested objects into separate searchable fields
+				Object.assign(message, this._flattenField(fieldName, value));
 			} else {
-				message[fieldName] = value;
+				message[fieldName] = this._fieldValue(value);
 			}
 		}
 
-		return message;
+		const redacted = this.redact ? this._redactMessage(message) : message;
+		const validated = this.strict ? this._enforceGELFFields(redacted) : redacted;
+		return this.limits ? this._applyLimits(validated) : validated;
 	}
 
 	/**
-	 * Send a log message to GELF endpoint (non-blocking)
+	 * Apply redaction rules to a built GELF message
+	 * Key rules apply to additional field names; value rules apply to every message text and string field.
 	 *
 	 * @private
-	 * @param {Object} gelfMessage - GELF message object
+	 * @param {Object} message - GELF message object
+	 * @returns {Object} Redacted GELF message object
 	 */
-	_send(gelfMessage) {
-		// Check if using WebSocket
-		if (this.useWebSocket) {
-			return this._sendWebSocket(gelfMessage);
-		}
+	_redactMessage(message) {
+		for (const [key, value] of Object.entries(message)) {
+			if (key === '_log_session_id') {
+				continue;
+			}
 
-		// Skip sending if no endpoint configured
-		if (!this.endpoint) {
-			this.stats.failed++;
-			this._logFailure({
-				message: gelfMessage,
-				reason: 'no_endpoint',
-				error: 'No GELF endpoint configured',
-				timestamp: Date.now()
-			});
-			return;
-		}
+			if (key.startsWith('_')) {
+				const keyRule = this._matchRedactKey(key.slice(1));
+				if (keyRule) {
+					// Flattened fields may already have been redacted inside their object
+					if (this._isRedacted(value)) {
+						continue;
+					}
+					const replacement = this._redactReplacement(value, keyRule.strategy);
+					if (replacement === undefined) {
+						delete message[key];
+					} else {
+						message[key] = replacement;
+					}
+					continue;
+				}
+			}
 
-		// Create abort controller for timeout
-		const controller = new AbortController();
-		const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+			if (typeof value === 'string' && (key.startsWith('_') || key === 'short_message' || key === 'full_message')) {
+				message[key] = this._redactString(value);
+			}
+		}
 
-		// Build headers object
-		const headers = {
-			'Content-Type': 'application/json',
-			'Accept': 'application/json'
-		};
+		return message;
+	}
 
-		// Add Cloudflare Access headers if credentials are configured
-		if (this.accessId && this.accessSecret) {
-			headers['CF-Access-Client-Id'] = this.accessId;
-			headers['CF-Access-Client-Secret'] = this.accessSecret;
+	/**
+	 * Copy an object, redacting values whose keys match a key rule
+	 * Only plain objects and arrays are copied; other values are returned as-is.
+	 *
+	 * @private
+	 * @param {*} value - Value to redact
+	 * @param {Array<Object>} ancestors - Objects on the current path (cycle protection)
+	 * @returns {*} Redacted copy
+	 */
+	_redactObject(value, ancestors) {
+		if (value === null || typeof value !== 'object' || ancestors.includes(value)) {
+			return value;
 		}
 
-		// Create non-blocking promise
-		const promise = fetch(this.endpoint, {
-			method: 'POST',
-			headers: headers,
-			body: JSON.stringify(gelfMessage),
-			signal: controller.signal
-		})
-			.then(response => {
-				clearTimeout(timeoutId);
-				if (response.ok) {
-					this.stats.sent++;
-				} else {
-					this.stats.failed++;
-
-					// Log failure details
-					this._logFailure({
-						message: gelfMessage,
-						reason: 'http_error',
-						error: `HTTP ${response.status} ${response.statusText}`,
-						endpoint: this.endpoint,
-						timestamp: Date.now()
-					});
+		const path = [...ancestors, value];
+		if (Array.isArray(value)) {
+			return value.map(child => this._redactObject(child, path));
+		}
 
-					// Console warning
-					if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
-						console.warn(`GELFLogger: HTTP ${response.status} from ${this.endpoint}`, {
-							short_message: gelfMessage.short_message,
-							level: gelfMessage.level
-						});
-					}
-				}
-				return response;
-			})
-			.catch(error => {
-				clearTimeout(timeoutId);
-				this.stats.failed++;
+		const proto = Object.getPrototypeOf(value);
+		if (proto !== Object.prototype && proto !== null) {
+			return value;
+		}
 
-				// Determine failure reason
-				const reason = error.name === 'AbortError' ? 'timeout' : 'network_error';
-				const errorMessage = error.name === 'AbortError'
-					? `Request timeout after ${this.timeout}ms`
-					: error.message;
+		const redacted = {};
+		for (const [key, child] of Object.entries(value)) {
+			const keyRule = this._matchRedactKey(key.startsWith('_') ? key.slice(1) : key);
+			if (!keyRule) {
+				redacted[key] = this._redactObject(child, path);
+				continue;
+			}
 
-				// Log failure details
-				this._logFailure({
-					message: gelfMessage,
-					reason: reason,
-					error: errorMessage,
-					endpoint: this.endpoint,
-					timestamp: Date.now()
-				});
+			const replacement = this._redactReplacement(child, keyRule.strategy);
+			if (replacement !== undefined) {
+				redacted[key] = replacement;
+			}
+		}
+		return redacted;
+	}
 
-				// Console warning (skip timeout warnings in quiet mode)
-				if (this.consoleLog && !this.overloadConsole && error.name !== 'AbortError') { // Only log if not overloading console
-					console.warn('GELFLogger: Send failed:', errorMessage, {
-						short_message: gelfMessage.short_message,
-						level: gelfMessage.level,
-						endpoint: this.endpoint
-					});
+	/**
+	 * Apply value rules to a string
+	 *
+	 * @private
+	 * @param {string} value - String to redact
+	 * @returns {string} Redacted string
+	 */
+	_redactString(value) {
+		let result = value;
+		for (const rule of this.redact.values) {
+			result = result.replace(rule.regex, match => {
+				if (rule.validate && !rule.validate(match)) {
+					return match;
 				}
+				const replacement = this._redactReplacement(match, rule.strategy);
+				return replacement === undefined ? '' : replacement;
 			});
-
-		// Track promise but don't await it (non-blocking)
-		this.pendingPromises.push(promise);
-
-		// Clean up resolved promises periodically
-		if (this.pendingPromises.length > 100) {
-			this._cleanupPromises();
 		}
+		return result;
 	}
 
 	/**
-	 * Send a log message via WebSocket (non-blocking)
+	 * Find the key rule matching a field name
 	 *
 	 * @private
-	 * @param {Object} gelfMessage - GELF message object
+	 * @param {string} key - Field name without the _ prefix
+	 * @returns {Object|undefined} Matching key rule
 	 */
-	_sendWebSocket(gelfMessage) {
-		// Skip sending if no WebSocket endpoint configured
-		if (!this.wsEndpoint) {
-			this.stats.failed++;
-			this._logFailure({
-				message: gelfMessage,
-				reason: 'no_ws_endpoint',
-				error: 'No WebSocket endpoint configured',
-				timestamp: Date.now()
-			});
-			return;
-		}
+	_matchRedactKey(key) {
+		return this.redact.keys.find(rule => rule.regex.test(key));
+	}
 
-		// Queue message
-		this.wsMessageQueue.push(gelfMessage);
+	/**
+	 * Check whether a value is already a redaction replacement
+	 *
+	 * @private
+	 * @param {*} value - Field value
+	 * @returns {boolean} True if the value was produced by a mask or hash strategy
+	 */
+	_isRedacted(value) {
+		return value === this.redact.mask || (typeof value === 'string' && /^\[HASH:[0-9a-f]{16}\]$/.test(value));
+	}
 
-		// Process queue if connection is ready
-		if (this.wsConnection && this.wsConnection.readyState === 1) { // OPEN
-			this._processWebSocketQueue();
-		} else if (!this.wsConnection || this.wsConnection.readyState === 3) { // CLOSED or no connection
-			// Attempt to connect (only if not already connecting)
-			if (!this.wsConnecting) {
-				this._connectWebSocket();
-			}
-			// Messages stay in queue and will be processed when connection is established
+	/**
+	 * Produce the replacement for a redacted value and count the redaction
+	 *
+	 * @private
+	 * @param {*} value - Sensitive value
+	 * @param {string} strategy - 'mask', 'remove' or 'hash'
+	 * @returns {string|undefined} Replacement text, or undefined to remove the value
+	 */
+	_redactReplacement(value, strategy) {
+		this.stats.redacted++;
+
+		if (strategy === 'remove') {
+			return undefined;
 		}
-		// If readyState is 0 (CONNECTING) or 2 (CLOSING), messages stay queued
-		// and will be processed when connection is established via event handler
+		if (strategy === 'hash') {
+			const text = typeof value === 'string' ? value : this._serialize(value);
+			const digest = GELFLogger._hmacSHA256(this.redact.secret, text);
+			return `[HASH:${digest.slice(0, 16)}]`;
+		}
+		return this.redact.mask;
 	}
 
 	/**
-	 * Connect to WebSocket endpoint
-	 * Uses fetch with Upgrade header to support Cloudflare Access authentication headers
+	 * Convert a custom field value into a GELF field value
+	 * Objects are serialized to JSON strings; BigInt and Symbol values become strings.
 	 *
 	 * @private
+	 * @param {*} value - Custom field value
+	 * @returns {string|number|boolean|null} GELF field value
 	 */
-	async _connectWebSocket() {
-		if (this.wsConnecting) {
-			return; // Already attempting to connect
+	_fieldValue(value) {
+		if (value === null || value === undefined) {
+			return null;
 		}
+		if (typeof value === 'object' || typeof value === 'function') {
+			return this._serialize(value);
+		}
+		if (typeof value === 'bigint' || typeof value === 'symbol') {
+			return value.toString();
+		}
+		return value;
+	}
 
-		this.wsConnecting = true;
-
+	/**
+	 * Serialize a value with the configured serializer
+	 * Falls back to the built-in serializer if a custom one throws or returns a non-string.
+	 *
+	 * @private
+	 * @param {*} value - Value to serialize
+	 * @returns {string} Serialized value
+	 */
+	_serialize(value) {
 		try {
-			// Build headers for WebSocket connection
-			const headers = {
-				'Upgrade': 'websocket',
-			};
-
-			// Add Cloudflare Access headers if credentials are configured
-			if (this.accessId && this.accessSecret) {
-				headers['CF-Access-Client-Id'] = this.accessId;
-				headers['CF-Access-Client-Secret'] = this.accessSecret;
+			const serialized = this.serializer(value);
+			if (typeof serialized === 'string') {
+				return serialized;
 			}
+		} catch (e) {
+			// Fall through to the built-in serializer
+		}
 
-			// Use fetch with Upgrade header for Cloudflare Workers WebSocket with auth headers
-			const response = await fetch(this.wsEndpoint, { headers });
-
-			if (response.webSocket) {
-				this.wsConnection = response.webSocket;
-				this.wsConnection.accept();
+		try {
+			return GELFLogger.serialize(value);
+		} catch (e) {
+			return String(value);
+		}
+	}
 
-				this.wsConnecting = false;
-				this.wsReconnectAttempts = 0;
-				if (this.consoleLog && !this.overloadConsole) {
-					console.log('GELFLogger: WebSocket connected via fetch upgrade');
+	/**
+	 * Flatten a nested object custom field into separate fields
+	 * e.g. _user: { id: 1 } becomes _user_id: 1 and _items: [{ sku: 'a' }] becomes _items_0_sku: 'a'.
+	 * Values nested deeper than maxDepth are JSON strings; if more than maxKeys fields would be
+	 * produced, the whole value is a single JSON string instead.
+	 *
+	 * @private
+	 * @param {string} fieldName - Prefixed field name of the custom field
+	 * @param {Object|Array} value - Object or array to flatten
+	 * @returns {Object} Flattened fields keyed by field name
+	 */
+	_flattenField(fieldName, value) {
+		const { separator, maxDepth, maxKeys } = this.flatten;
+		const fields = {};
+		let count = 0;
+
+		const walk = (prefix, nested, depth) => {
+			for (const [key, child] of Object.entries(nested)) {
+				if (count > maxKeys) {
+					return;
 				}
 
-				// Process queued messages now that connection is established
-				this._processWebSocketQueue();
+				const name = `${prefix}${separator}${key}`;
+				if (child !== null && typeof child === 'object' && GELFLogger._isFlattenable(child) && depth < maxDepth) {
+					walk(name, child, depth + 1);
+				} else {
+					count++;
+					fields[name] = this._fieldValue(child);
+				}
+			}
+		};
 
-				// Setup event handlers
-				this.wsConnection.addEventListener('message', (event) => {
-					try {
-						const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-						if (data && data.type === 'auth_ack') {
-							this.wsAuthenticated = true;
-							if (this._wsAuthTimer) {
-								clearTimeout(this._wsAuthTimer);
-								this._wsAuthTimer = null;
-							}
-							if (this.consoleLog && !this.overloadConsole) {
-								console.log('GELFLogger: WebSocket authenticated');
-							}
-						}
-					} catch (e) {
-						// Non-JSON or unrelated message — ignore
-					}
-				});
+		walk(fieldName, value, 1);
 
-				this.wsConnection.addEventListener('close', (event) => {
-					this.wsConnecting = false;
-					if (this.consoleLog && !this.overloadConsole) {
-						const closeDetails = {
-							code: event?.code,
-							reason: event?.reason || 'No reason provided',
-							wasClean: event?.wasClean,
-							wsEndpoint: this.wsEndpoint,
-							reconnectAttempts: this.wsReconnectAttempts,
-							queueLength: this.wsMessageQueue?.length || 0
-						};
-						console.log('GELFLogger: WebSocket closed:', JSON.stringify(closeDetails));
-					}
-					// Attempt reconnection with exponential backoff
-					if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
-						this.wsReconnectAttempts++;
-						const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
-						setTimeout(() => this._connectWebSocket(), delay);
-					}
-				});
+		if (count > maxKeys) {
+			return { [fieldName]: this._serialize(value) };
+		}
+		return fields;
+	}
 
-				this.wsConnection.addEventListener('error', (event) => {
-					this.wsConnecting = false;
-					if (this.consoleLog && !this.overloadConsole) {
-						// Extract useful information from the ErrorEvent
-						const errorDetails = {
-							type: event?.type || 'unknown',
-							message: event?.message || 'No message available',
-							error: event?.error?.message || event?.error || null,
-							wsEndpoint: this.wsEndpoint,
-							wsReadyState: this.wsConnection?.readyState,
-							wsReadyStateLabel: ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'][this.wsConnection?.readyState] || 'UNKNOWN',
-							reconnectAttempts: this.wsReconnectAttempts,
-							queueLength: this.wsMessageQueue?.length || 0
-						};
-						console.error('GELFLogger: WebSocket error:', JSON.stringify(errorDetails));
-					}
-					// Attempt reconnection on error (close event may not always fire)
-					if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
-						this.wsReconnectAttempts++;
-						const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
-						setTimeout(() => this._connectWebSocket(), delay);
-					}
-				});
-			} else {
-				// Fetch upgrade failed - no WebSocket in response
-				this.wsConnecting = false;
-				const upgradeError = {
-					status: response.status,
-					statusText: response.statusText,
-					wsEndpoint: this.wsEndpoint,
-					reconnectAttempts: this.wsReconnectAttempts
-				};
-				if (this.consoleLog && !this.overloadConsole) {
-					console.error('GELFLogger: WebSocket upgrade failed:', JSON.stringify(upgradeError));
+	/**
+	 * Truncate oversized fields so the message fits the configured limits
+	 * Truncated fields end with a marker and are listed in `_truncated_fields`.
+	 *
+	 * @private
+	 * @param {Object} message - GELF message object
+	 * @returns {Object} GELF message object within limits
+	 */
+	_applyLimits(message) {
+		const truncated = new Set();
+		const truncate = (key, maxBytes) => {
+			const value = GELFLogger._truncateString(message[key], maxBytes);
+			if (value !== message[key]) {
+				message[key] = value;
+				truncated.add(key);
+			}
+		};
+
+		// Per-field limits
+		truncate('short_message', this.limits.shortMessage);
+		if (typeof message.full_message === 'string') {
+			truncate('full_message', this.limits.fullMessage);
+		}
+		for (const [key, value] of Object.entries(message)) {
+			if (key.startsWith('_') && key !== '_log_session_id' && typeof value === 'string') {
+				truncate(key, this.limits.field);
+			}
+		}
+
+		// Total size limit: shrink the largest string fields first, short_message last
+		const overhead = 128; // Room for the _truncated_fields entry
+		let excess = GELFLogger._byteLength(JSON.stringify(message)) + overhead - this.limits.message;
+		if (excess > 0) {
+			const candidates = Object.keys(message)
+				.filter(key => (key === 'full_message' || key.startsWith('_')) && key !== '_log_session_id' && typeof message[key] === 'string')
+				.sort((a, b) => message[b].length - message[a].length);
+			candidates.push('short_message');
+
+			for (const key of candidates) {
+				if (excess <= 0) {
+					break;
 				}
-				// Attempt reconnection
-				if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
-					this.wsReconnectAttempts++;
-					const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
-					setTimeout(() => this._connectWebSocket(), delay);
+				const before = GELFLogger._byteLength(JSON.stringify(message[key]));
+				truncate(key, Math.max(GELFLogger._byteLength(message[key]) - excess, 0));
+				excess -= before - GELFLogger._byteLength(JSON.stringify(message[key]));
+			}
+		}
+
+		if (truncated.size > 0) {
+			message._truncated_fields = [...truncated].join(',');
+			this.stats.truncated++;
+		}
+
+		return message;
+	}
+
+	/**
+	 * Enforce GELF 1.1 rules on additional fields (strict mode)
+	 * Invalid keys are sanitized or dropped, `_id` is removed, and values are limited to strings and numbers.
+	 * Every correction is recorded in diagnostics.
+	 *
+	 * @private
+	 * @param {Object} message - GELF message object
+	 * @returns {Object} Validated GELF message object
+	 */
+	_enforceGELFFields(message) {
+		const validated = {};
+
+		for (const [key, value] of Object.entries(message)) {
+			// Standard GELF fields are built by the logger itself
+			if (!key.startsWith('_')) {
+				validated[key] = value;
+				continue;
+			}
+
+			// _id is reserved by Graylog
+			if (key === '_id') {
+				this._recordCorrection('droppedKeys', key, message);
+				continue;
+			}
+
+			let fieldName = key;
+			if (!GELFLogger.#FIELD_NAME_PATTERN.test(key)) {
+				if (this.strict.invalidKeys === 'drop') {
+					this._recordCorrection('droppedKeys', key, message);
+					continue;
 				}
+				fieldName = key.replace(/[^\w\.\-]/g, '_');
+				// A field already named like the sanitized key (e.g. _a_b for '_a b') keeps its value
+				if (Object.hasOwn(message, fieldName) || Object.hasOwn(validated, fieldName)) {
+					this._recordCorrection('collidedKeys', key, message);
+					continue;
+				}
+				this._recordCorrection('sanitizedKeys', key, message);
 			}
-		} catch (error) {
-			this.wsConnecting = false;
-			if (this.consoleLog && !this.overloadConsole) {
-				const connectionError = {
-					name: error?.name || 'UnknownError',
-					message: error?.message || String(error),
-					stack: error?.stack,
-					wsEndpoint: this.wsEndpoint,
-					reconnectAttempts: this.wsReconnectAttempts
-				};
-				console.error('GELFLogger: WebSocket connection failed:', JSON.stringify(connectionError));
+
+			if (value === null || value === undefined) {
+				this._recordCorrection('droppedValues', key, message);
+				continue;
 			}
-			// Attempt reconnection on connection failure
-			if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
-				this.wsReconnectAttempts++;
-				const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
-				setTimeout(() => this._connectWebSocket(), delay);
+
+			if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+				validated[fieldName] = value;
+			} else {
+				validated[fieldName] = String(value);
+				this._recordCorrection('coercedValues', key, message);
 			}
 		}
+
+		return validated;
 	}
 
 	/**
-	 * Process queued WebSocket messages
+	 * Record a strict-mode field correction
 	 *
 	 * @private
+	 * @param {string} type - Correction counter: sanitizedKeys, collidedKeys, droppedKeys, coercedValues or droppedValues
+	 * @param {string} key - Offending field key
+	 * @param {Object} message - GELF message the field belonged to
 	 */
-	_processWebSocketQueue() {
-		if (!this.wsConnection || this.wsConnection.readyState !== 1) {
-			return; // Not connected
-		}
+	_recordCorrection(type, key, message) {
+		this.diagnostics[type]++;
 
-		while (this.wsMessageQueue.length > 0) {
-			const message = this.wsMessageQueue.shift();
-			try {
-				this.wsConnection.send(JSON.stringify(message));
-				this.stats.sent++;
-			} catch (error) {
-				this.stats.failed++;
-				this._logFailure({
-					message: message,
-					reason: 'ws_send_error',
-					error: error.message,
-					timestamp: Date.now()
-				});
-				// Re-queue message for retry
-				this.wsMessageQueue.unshift(message);
-				break;
-			}
+		const offenders = this.diagnostics.offenders;
+		if (!offenders[key] && Object.keys(offenders).length >= GELFLogger.#MAX_DIAGNOSTIC_KEYS) {
+			return;
 		}
+
+		const offender = offenders[key] || (offenders[key] = { count: 0, corrections: {} });
+		offender.count++;
+		offender.corrections[type] = (offender.corrections[type] || 0) + 1;
+		offender.lastShortMessage = message.short_message;
+		offender.lastSeen = Date.now();
 	}
 
 	/**
-	 * Log a failed message for debugging
+	 * Send a log message to GELF endpoint (non-blocking)
 	 *
 	 * @private
-	 * @param {Object} failureInfo - Information about the failure
+	 * @param {Object} gelfMessage - GELF message object
 	 */
-	_logFailure(failureInfo) {
-		// Add to failed messages array
-		this.failedMessages.push(failureInfo);
+	_send(gelfMessage) {
+		// Fan out to sinks instead of this instance's transport
+		if (this.sinks) {
+			return this._dispatchToSinks(gelfMessage);
+		}
+
+		// Check if using WebSocket
+		if (this.useWebSocket) {
+			return this._sendWebSocket(gelfMessage);
+		}
 
-		// Trim array to max size (keep most recent)
-		if (this.failedMessages.length > this.maxFailedMessages) {
-			this.failedMessages.shift();
+		// Check if using GELF TCP
+		if (this.tcp) {
+			return this._sendTCP(gelfMessage);
 		}
 
-		// Also log to console in verbose mode
-		if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
-			console.error('GELFLogger: Failed to emit log', {
-				reason: failureInfo.reason,
-				error: failureInfo.error,
-				short_message: failureInfo.message.short_message,
-				level: failureInfo.message.level,
-				timestamp: new Date(failureInfo.timestamp).toISOString()
+		// Skip sending if no endpoint configured
+		if (!this.endpoint && !this.aggregator && !this.queue && !this.service) {
+			this.stats.failed++;
+			this._logFailure({
+				message: gelfMessage,
+				reason: 'no_endpoint',
+				error: 'No GELF endpoint configured',
+				timestamp: Date.now()
 			});
+			return;
+		}
+
+		// Buffer the message when batching is enabled
+		if (this.batch) {
+			this._enqueueBatch(gelfMessage);
+			return;
 		}
+
+		if (this.queue) {
+			this._sendQueue([gelfMessage]);
+			return;
+		}
+
+		const { body, contentType } = this._encodePayload([gelfMessage]);
+		this._postHTTP([gelfMessage], body, contentType);
 	}
 
 	/**
-	 * Clean up resolved promises from tracking array
+	 * Encode GELF messages as one request body in the configured output format
+	 * Plain GELF is a single JSON object, or NDJSON for several messages.
 	 *
 	 * @private
+	 * @param {Array<Object>} messages - GELF messages
+	 * @returns {Object} { body, contentType }
 	 */
-	_cleanupPromises() {
-		// Keep only pending promises
-		this.pendingPromises = this.pendingPromises.filter(p => {
-			let isPending = true;
-			p.then(() => { isPending = false; }).catch(() => { isPending = false; });
-			return isPending;
-		});
+	_encodePayload(messages) {
+		const formatter = this.formatter || FORMATTERS.gelf;
+		return formatter.encode(messages.map(message => formatter.format(message)));
 	}
 
 	/**
-	 * Core logging method
+	 * POST a payload carrying one or more GELF messages to the HTTP endpoint (non-blocking)
 	 *
 	 * @private
-	 * @param {number} level - Log level
-	 * @param {string} shortMessage - Short message
-	 * @param {string|null} fullMessage - Full message
-	 * @param {Object} customFields - Custom fields
+	 * @param {Array<Object>} messages - GELF messages contained in the payload
+	 * @param {string} body - Serialized request body
+	 * @param {string} contentType - Content-Type of the body
+	 * @returns {Promise<boolean>} Resolves to true if the endpoint accepted the payload
 	 */
-	_log(level, shortMessage, fullMessage = null, customFields = {}) {
-		try {
-			// Check if level should be logged
-			if (level > this.minLevel) {
-				this.stats.skipped++;
-				return;
-			}
+	_postHTTP(messages, body, contentType) {
+		// Create abort controller for timeout
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-			// Build GELF message
-			const gelfMessage = this._buildGELFMessage(level, shortMessage, fullMessage, customFields);
+		// Build headers object
+		const headers = {
+			...this.headers,
+			'Content-Type': contentType,
+			'Accept': 'application/json'
+		};
 
-			// Send to GELF endpoint (non-blocking)
-			this._send(gelfMessage);
+		// Add Cloudflare Access headers if credentials are configured
+		// (not needed over bindings: the aggregator adds its own upstream, service bindings never leave Cloudflare)
+		if (this.accessId && this.accessSecret && !this.aggregator && !this.service) {
+			headers['CF-Access-Client-Id'] = this.accessId;
+			headers['CF-Access-Client-Secret'] = this.accessSecret;
+		}
 
-			// Also log to console if enabled and not overloading console
-			if (this.consoleLog && !this.overloadConsole) {
-				const levelName = Object.keys(GELFLogger.LEVELS).find(
-					key => GELFLogger.LEVELS[key] === level
-				);
-				let logMessage = `[${levelName}]`;
-				//try and json parse shortMessage
-				try {
-					JSON.parse(shortMessage);
-					logMessage += ` ${JSON.stringify(shortMessage)}`;
-				} catch (e) {
-					logMessage += ` ${shortMessage}`;
-				}
-				//add fullMessage if exists
-				if (fullMessage) {
-					try {
-						JSON.parse(fullMessage);
-						fullMessage = JSON.stringify(fullMessage);
-						logMessage += `\n${fullMessage}`;
-					} catch (e) {
-						logMessage += `\n${fullMessage}`;
+		// Summary used in console warnings (single message details, or batch size)
+		const summary = messages.length === 1
+			? { short_message: messages[0].short_message, level: messages[0].level }
+			: { messages: messages.length };
+
+		// Attempt counter, updated by _fetchWithRetry
+		const attempt = { count: 0 };
+		const deadline = Date.now() + this.timeout;
+		const send = payload => this._fetchWithRetry({
+			method: 'POST',
+			headers: headers,
+			body: payload,
+			signal: controller.signal
+		}, deadline, attempt);
+
+		// Compress large bodies when enabled (falls back to the plain body if compression fails)
+		const encoding = this._compressionEncoding(body);
+		const request = encoding
+			? GELFLogger._compress(body, encoding).then(
+				compressed => {
+					headers['Content-Encoding'] = encoding;
+					return send(compressed);
+				},
+				() => send(body)
+			)
+			: send(body);
+
+		// Create non-blocking promise
+		const promise = request
+			.then(response => {
+				clearTimeout(timeoutId);
+				if (response.ok) {
+					this.stats.sent += messages.length;
+					if (attempt.count > 1) {
+						this.retryStats.recovered += messages.length;
 					}
+					return true;
 				}
-				console.log(logMessage);
-			}
-		} catch (error) {
-			// Graceful failure - never interrupt main thread
+
+				this.stats.failed += messages.length;
+				if (attempt.count > 1) {
+					this.retryStats.exhausted += messages.length;
+				}
+
+				// Log failure details
+				this._logFailures(messages, {
+					reason: 'http_error',
+					error: `HTTP ${response.status} ${response.statusText}`,
+					endpoint: this._targetLabel(),
+					attempts: attempt.count,
+					timestamp: Date.now()
+				});
+
+				// Console warning
+				if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
+					console.warn(`GELFLogger: HTTP ${response.status} from ${this._targetLabel()}`, summary);
+				}
+				return false;
+			})
+			.catch(error => {
+				clearTimeout(timeoutId);
+				this.stats.failed += messages.length;
+				if (attempt.count > 1) {
+					this.retryStats.exhausted += messages.length;
+				}
+
+				// Determine failure reason
+				const reason = error.name === 'AbortError' ? 'timeout' : 'network_error';
+				const errorMessage = error.name === 'AbortError'
+					? `Request timeout after ${this.timeout}ms`
+					: error.message;
+
+				// Log failure details
+				this._logFailures(messages, {
+					reason: reason,
+					error: errorMessage,
+					endpoint: this._targetLabel(),
+					attempts: attempt.count,
+					timestamp: Date.now()
+				});
+
+				// Console warning (skip timeout warnings in quiet mode)
+				if (this.consoleLog && !this.overloadConsole && error.name !== 'AbortError') { // Only log if not overloading console
+					console.warn('GELFLogger: Send failed:', errorMessage, {
+						...summary,
+						endpoint: this._targetLabel()
+					});
+				}
+				return false;
+			});
+
+		// Track promise but don't await it (non-blocking)
+		this.pendingPromises.push(promise);
+
+		// Clean up resolved promises periodically
+		if (this.pendingPromises.length > 100) {
+			this._cleanupPromises();
+		}
+
+		return promise;
+	}
+
+	/**
+	 * Fetch the HTTP endpoint, retrying retryable failures with exponential backoff and jitter
+	 * Gives up early rather than sleeping past the deadline
+	 *
+	 * @private
+	 * @param {Object} init - fetch() options
+	 * @param {number} deadline - Epoch ms after which no further attempt is started
+	 * @param {Object} attempt - Attempt counter ({ count }) updated in place
+	 * @returns {Promise<Response>} Last response received (rejects with the last network error)
+	 */
+	async _fetchWithRetry(init, deadline, attempt) {
+		for (;;) {
+			attempt.count++;
+
+			let response = null;
+			let error = null;
+			try {
+				response = await this._fetchTarget(init);
+			} catch (e) {
+				error = e;
+			}
+
+			const retryable = this.retry !== null
+				&& attempt.count < this.retry.maxAttempts
+				&& (error ? error.name !== 'AbortError' : !response.ok && this.retry.retryOn.includes(response.status));
+			const delay = retryable ? this._retryDelay(attempt.count, response) : 0;
+
+			if (!retryable || Date.now() + delay >= deadline) {
+				if (error) {
+					throw error;
+				}
+				return response;
+			}
+
+			this.retryStats.retries++;
+			await new Promise(resolve => setTimeout(resolve, delay));
+		}
+	}
+
+	/**
+	 * Issue one HTTP request to the configured target: the aggregator Durable Object, the service binding, or the GELF endpoint
+	 *
+	 * @private
+	 * @param {Object} init - fetch() options
+	 * @returns {Promise<Response>} Response from the target
+	 */
+	_fetchTarget(init) {
+		if (this.aggregator) {
+			const { binding, name } = this.aggregator;
+			// The aggregator routes on the path only; the host is a placeholder
+			return binding.get(binding.idFromName(name)).fetch('https://gelf-aggregator/ingest', init);
+		}
+		if (this.service) {
+			return this.service.binding.fetch(this.service.url, init);
+		}
+		return fetch(this.endpoint, init);
+	}
+
+	/**
+	 * Describe the HTTP target for failure records and warnings
+	 *
+	 * @private
+	 * @returns {string|null} Endpoint URL, aggregator name or service URL
+	 */
+	_targetLabel() {
+		if (this.aggregator) {
+			return `aggregator:${this.aggregator.name}`;
+		}
+		return this.service ? `service:${this.service.url}` : this.endpoint;
+	}
+
+	/**
+	 * Compute the backoff delay before the next attempt
+	 *
+	 * @private
+	 * @param {number} attemptCount - Number of attempts made so far
+	 * @param {Response|null} response - Last response (null after a network error)
+	 * @returns {number} Delay in ms
+	 */
+	_retryDelay(attemptCount, response) {
+		const backoff = Math.min(this.retry.baseDelay * Math.pow(2, attemptCount - 1), this.retry.maxDelay);
+		const delay = backoff * (1 - this.retry.jitter * Math.random());
+
+		// Honor Retry-After (seconds or HTTP date) when the server sends one
+		const retryAfter = this.retry.respectRetryAfter ? response?.headers?.get?.('Retry-After') : null;
+		if (retryAfter) {
+			const seconds = Number(retryAfter);
+			const retryAfterMs = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+			if (retryAfterMs > delay) {
+				return retryAfterMs;
+			}
+		}
+
+		return delay;
+	}
+
+	/**
+	 * Decide whether a body should be compressed
+	 *
+	 * @private
+	 * @param {string} body - Serialized request body
+	 * @returns {string|null} Content-Encoding to apply, or null to send the body as-is
+	 */
+	_compressionEncoding(body) {
+		if (!this.compression || typeof CompressionStream === 'undefined') {
+			return null;
+		}
+		return GELFLogger._byteLength(body) >= this.compression.threshold ? this.compression.encoding : null;
+	}
+
+	/**
+	 * Add a message to the batch buffer, sending the batch when a threshold is hit
+	 *
+	 * @private
+	 * @param {Object} gelfMessage - GELF message object
+	 */
+	_enqueueBatch(gelfMessage) {
+		const queue = this.batchQueue;
+		const record = this.formatter ? this.formatter.format(gelfMessage) : gelfMessage;
+		const serialized = typeof record === 'string' ? record : JSON.stringify(record);
+		const bytes = GELFLogger._byteLength(serialized) + 1; // +1 for the separator
+
+		// Send what we have first if this message would push the batch over the byte limit
+		if (queue.entries.length > 0 && queue.bytes + bytes > this.batch.maxBytes) {
+			this._sendBatch();
+		}
+
+		queue.entries.push({ message: gelfMessage, record, serialized });
+		queue.bytes += bytes;
+
+		if (queue.entries.length >= this.batch.maxMessages || queue.bytes >= this.batch.maxBytes) {
+			this._sendBatch();
+		} else if (!queue.timer) {
+			queue.timer = setTimeout(() => this._sendBatch(), this.batch.maxWait);
+		}
+	}
+
+	/**
+	 * Send all buffered messages in a single HTTP request
+	 *
+	 * @private
+	 */
+	_sendBatch() {
+		const queue = this.batchQueue;
+		if (queue.timer) {
+			clearTimeout(queue.timer);
+			queue.timer = null;
+		}
+
+		if (queue.entries.length === 0) {
+			return;
+		}
+
+		const entries = queue.entries;
+		queue.entries = [];
+		queue.bytes = 0;
+
+		let body;
+		let contentType;
+		if (this.formatter) {
+			({ body, contentType } = this.formatter.encode(entries.map(entry => entry.record)));
+		} else {
+			const serialized = entries.map(entry => entry.serialized);
+			body = this.batch.format === 'json_array' ? `[${serialized.join(',')}]` : serialized.join('\n');
+			contentType = this.batch.format === 'json_array' ? 'application/json' : 'application/x-ndjson';
+		}
+		const bytes = GELFLogger._byteLength(body);
+
+		// Record batch size
+		this.batchStats.batches++;
+		this.batchStats.messages += entries.length;
+		this.batchStats.bytes += bytes;
+		this.batchStats.largestMessages = Math.max(this.batchStats.largestMessages, entries.length);
+		this.batchStats.largestBytes = Math.max(this.batchStats.largestBytes, bytes);
+
+		const messages = entries.map(entry => entry.message);
+		const send = this.queue ? this._sendQueue(messages) : this._postHTTP(messages, body, contentType);
+		send.then(ok => {
+			if (!ok) {
+				this.batchStats.failed++;
+			}
+		});
+	}
+
+	/**
+	 * Send a message to every sink whose level and filter match
+	 * Each sink is isolated: an error in one sink's filter or transport never reaches the others.
+	 *
+	 * @private
+	 * @param {Object} gelfMessage - GELF message object
+	 */
+	_dispatchToSinks(gelfMessage) {
+		for (const sink of this.sinks) {
+			try {
+				if (gelfMessage.level > sink.minLevel || (sink.filter && !sink.filter(gelfMessage))) {
+					sink.stats.filtered++;
+					continue;
+				}
+
+				sink.stats.dispatched++;
+				if (sink.logger) {
+					sink.logger._send(gelfMessage);
+				} else {
+					this._writeConsoleSink(gelfMessage);
+				}
+			} catch (error) {
+				sink.stats.errors++;
+				if (this.consoleLog && !this.overloadConsole) {
+					console.error(`GELFLogger: Sink "${sink.name}" failed:`, error.message);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Write a message for a console sink
+	 * Uses the original console methods when the console is overloaded, so output isn't forwarded back to GELF.
+	 *
+	 * @private
+	 * @param {Object} gelfMessage - GELF message object
+	 */
+	_writeConsoleSink(gelfMessage) {
+		const levelName = Object.keys(GELFLogger.LEVELS).find(key => GELFLogger.LEVELS[key] === gelfMessage.level);
+		const method = gelfMessage.level <= GELFLogger.LEVELS.ERROR ? 'error' : gelfMessage.level === GELFLogger.LEVELS.WARNING ? 'warn' : 'log';
+		const output = this._originalConsole || console;
+
+		let logMessage = `[${levelName}] ${gelfMessage.short_message}`;
+		if (gelfMessage.full_message) {
+			logMessage += `\n${gelfMessage.full_message}`;
+		}
+		output[method](logMessage);
+	}
+
+	/**
+	 * Enqueue GELF messages to the Cloudflare Queue (non-blocking)
+	 * Messages count as sent once the queue accepts them.
+	 *
+	 * @private
+	 * @param {Array<Object>} messages - GELF messages
+	 * @returns {Promise<boolean>} Resolves to true if every message was enqueued
+	 */
+	_sendQueue(messages) {
+		// sendBatch() accepts at most 100 messages and 256KB per call
+		const chunks = [];
+		let chunkBytes = 0;
+		for (const message of messages) {
+			const bytes = GELFLogger._byteLength(JSON.stringify(message));
+			const chunk = chunks[chunks.length - 1];
+			if (!chunk || chunk.length >= 100 || chunkBytes + bytes > 256 * 1024) {
+				chunks.push([message]);
+				chunkBytes = bytes;
+			} else {
+				chunk.push(message);
+				chunkBytes += bytes;
+			}
+		}
+
+		const promise = Promise.all(chunks.map(chunk => this._sendQueueChunk(chunk))).then(results => results.every(Boolean));
+
+		// Track promise but don't await it (non-blocking)
+		this.pendingPromises.push(promise);
+		if (this.pendingPromises.length > 100) {
+			this._cleanupPromises();
+		}
+
+		return promise;
+	}
+
+	/**
+	 * Enqueue one chunk of messages with a single producer call
+	 *
+	 * @private
+	 * @param {Array<Object>} chunk - GELF messages (at most 100 / 256KB)
+	 * @returns {Promise<boolean>} Resolves to true if the queue accepted the chunk
+	 */
+	_sendQueueChunk(chunk) {
+		const { binding } = this.queue;
+
+		return Promise.resolve()
+			.then(() => (chunk.length === 1 ? binding.send(chunk[0]) : binding.sendBatch(chunk.map(message => ({ body: message })))))
+			.then(() => {
+				this.stats.sent += chunk.length;
+				return true;
+			})
+			.catch(error => {
+				this.stats.failed += chunk.length;
+				this._logFailures(chunk, {
+					reason: 'queue_error',
+					error: error?.message || String(error),
+					timestamp: Date.now()
+				});
+				return false;
+			});
+	}
+
+	/**
+	 * Send a log message via WebSocket (non-blocking)
+	 *
+	 * @private
+	 * @param {Object} gelfMessage - GELF message object
+	 */
+	_sendWebSocket(gelfMessage) {
+		// Skip sending if no WebSocket endpoint configured
+		if (!this.wsEndpoint) {
 			this.stats.failed++;
-			if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
-				console.error('GELFLogger: Internal error:', error.message);
+			this._logFailure({
+				message: gelfMessage,
+				reason: 'no_ws_endpoint',
+				error: 'No WebSocket endpoint configured',
+				timestamp: Date.now()
+			});
+			return;
+		}
+
+		// Queue message
+		this.wsMessageQueue.push(gelfMessage);
+
+		// Process queue if connection is ready
+		if (this.wsConnection && this.wsConnection.readyState === 1) { // OPEN
+			this._processWebSocketQueue();
+		} else if (!this.wsConnection || this.wsConnection.readyState === 3) { // CLOSED or no connection
+			// Attempt to connect (only if not already connecting)
+			if (!this.wsConnecting) {
+				this._connectWebSocket();
+			}
+			// Messages stay in queue and will be processed when connection is established
+		}
+		// If readyState is 0 (CONNECTING) or 2 (CLOSING), messages stay queued
+		// and will be processed when connection is established via event handler
+	}
+
+	/**
+	 * Connect to WebSocket endpoint
+	 * Uses fetch with Upgrade header to support Cloudflare Access authentication headers
+	 *
+	 * @private
+	 */
+	async _connectWebSocket() {
+		if (this.wsConnecting) {
+			return; // Already attempting to connect
+		}
+
+		this.wsConnecting = true;
+
+		try {
+			// Build headers for WebSocket connection
+			const headers = {
+				'Upgrade': 'websocket',
+			};
+
+			// Add Cloudflare Access headers if credentials are configured
+			if (this.accessId && this.accessSecret) {
+				headers['CF-Access-Client-Id'] = this.accessId;
+				headers['CF-Access-Client-Secret'] = this.accessSecret;
 			}
+
+			// Use fetch with Upgrade header for Cloudflare Workers WebSocket with auth headers
+			const response = await fetch(this.wsEndpoint, { headers });
+
+			if (response.webSocket) {
+				this.wsConnection = response.webSocket;
+				this.wsConnection.accept();
+
+				this.wsConnecting = false;
+				this.wsReconnectAttempts = 0;
+				if (this.consoleLog && !this.overloadConsole) {
+					console.log('GELFLogger: WebSocket connected via fetch upgrade');
+				}
+
+				// Process queued messages now that connection is established
+				this._processWebSocketQueue();
+
+				// Setup event handlers
+				this.wsConnection.addEventListener('message', (event) => {
+					try {
+						const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+						if (data && data.type === 'set_level') {
+							// Remote level control: { type: 'set_level', level: 'DEBUG' } (null restores the configured level)
+							if (this.setLevel(data.level) && this.consoleLog && !this.overloadConsole) {
+								console.log(`GELFLogger: Level set to ${data.level ?? 'default'} by WebSocket control message`);
+							}
+						} else if (data && data.type === 'auth_ack') {
+							this.wsAuthenticated = true;
+							if (this._wsAuthTimer) {
+								clearTimeout(this._wsAuthTimer);
+								this._wsAuthTimer = null;
+							}
+							if (this.consoleLog && !this.overloadConsole) {
+								console.log('GELFLogger: WebSocket authenticated');
+							}
+						}
+					} catch (e) {
+						// Non-JSON or unrelated message — ignore
+					}
+				});
+
+				this.wsConnection.addEventListener('close', (event) => {
+					this.wsConnecting = false;
+					if (this.consoleLog && !this.overloadConsole) {
+						const closeDetails = {
+							code: event?.code,
+							reason: event?.reason || 'No reason provided',
+							wasClean: event?.wasClean,
+							wsEndpoint: this.wsEndpoint,
+							reconnectAttempts: this.wsReconnectAttempts,
+							queueLength: this.wsMessageQueue?.length || 0
+						};
+						console.log('GELFLogger: WebSocket closed:', JSON.stringify(closeDetails));
+					}
+					// Attempt reconnection with exponential backoff
+					if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
+						this.wsReconnectAttempts++;
+						const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
+						setTimeout(() => this._connectWebSocket(), delay);
+					}
+				});
+
+				this.wsConnection.addEventListener('error', (event) => {
+					this.wsConnecting = false;
+					if (this.consoleLog && !this.overloadConsole) {
+						// Extract useful information from the ErrorEvent
+						const errorDetails = {
+							type: event?.type || 'unknown',
+							message: event?.message || 'No message available',
+							error: event?.error?.message || event?.error || null,
+							wsEndpoint: this.wsEndpoint,
+							wsReadyState: this.wsConnection?.readyState,
+							wsReadyStateLabel: ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'][this.wsConnection?.readyState] || 'UNKNOWN',
+							reconnectAttempts: this.wsReconnectAttempts,
+							queueLength: this.wsMessageQueue?.length || 0
+						};
+						console.error('GELFLogger: WebSocket error:', JSON.stringify(errorDetails));
+					}
+					// Attempt reconnection on error (close event may not always fire)
+					if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
+						this.wsReconnectAttempts++;
+						const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
+						setTimeout(() => this._connectWebSocket(), delay);
+					}
+				});
+			} else {
+				// Fetch upgrade failed - no WebSocket in response
+				this.wsConnecting = false;
+				const upgradeError = {
+					status: response.status,
+					statusText: response.statusText,
+					wsEndpoint: this.wsEndpoint,
+					reconnectAttempts: this.wsReconnectAttempts
+				};
+				if (this.consoleLog && !this.overloadConsole) {
+					console.error('GELFLogger: WebSocket upgrade failed:', JSON.stringify(upgradeError));
+				}
+				// Attempt reconnection
+				if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
+					this.wsReconnectAttempts++;
+					const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
+					setTimeout(() => this._connectWebSocket(), delay);
+				}
+			}
+		} catch (error) {
+			this.wsConnecting = false;
+			if (this.consoleLog && !this.overloadConsole) {
+				const connectionError = {
+					name: error?.name || 'UnknownError',
+					message: error?.message || String(error),
+					stack: error?.stack,
+					wsEndpoint: this.wsEndpoint,
+					reconnectAttempts: this.wsReconnectAttempts
+				};
+				console.error('GELFLogger: WebSocket connection failed:', JSON.stringify(connectionError));
+			}
+			// Attempt reconnection on connection failure
+			if (this.wsReconnectAttempts < this.wsMaxReconnectAttempts) {
+				this.wsReconnectAttempts++;
+				const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
+				setTimeout(() => this._connectWebSocket(), delay);
+			}
+		}
+	}
+
+	/**
+	 * Process queued WebSocket messages
+	 *
+	 * @private
+	 */
+	_processWebSocketQueue() {
+		if (!this.wsConnection || this.wsConnection.readyState !== 1) {
+			return; // Not connected
+		}
+
+		while (this.wsMessageQueue.length > 0) {
+			const message = this.wsMessageQueue.shift();
+			try {
+				this.wsConnection.send(this._encodePayload([message]).body);
+				this.stats.sent++;
+			} catch (error) {
+				this.stats.failed++;
+				// Not persisted: the message is re-queued, and replaying a stored copy would deliver it twice
+				this._logFailure({
+					message: message,
+					reason: 'ws_send_error',
+					error: error.message,
+					timestamp: Date.now()
+				}, false);
+				// Re-queue message for retry
+				this.wsMessageQueue.unshift(message);
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Send a log message over GELF TCP (non-blocking)
+	 *
+	 * @private
+	 * @param {Object} gelfMessage - GELF message object
+	 */
+	_sendTCP(gelfMessage) {
+		const state = this.tcpState;
+		state.queue.push(gelfMessage);
+		if (state.queue.length > this.tcp.maxQueueSize) {
+			this._failTCPMessages(state.queue.splice(0, state.queue.length - this.tcp.maxQueueSize), 'tcp_queue_full', 'TCP queue full');
+		}
+
+		if (state.writer) {
+			this._processTCPQueue();
+		} else if (!state.connecting) {
+			// Messages stay in the queue until the connection is open
+			this._connectTCP();
+		}
+	}
+
+	/**
+	 * Open the TCP connection with cloudflare:sockets connect()
+	 *
+	 * @private
+	 * @returns {Promise<void>} Resolves once connected, or once the attempt has failed
+	 */
+	_connectTCP() {
+		const state = this.tcpState;
+		if (state.connecting) {
+			return state.connecting; // Already attempting to connect
+		}
+
+		const { hostname, port, tls } = this.tcp;
+		state.connecting = (async () => {
+			try {
+				const { connect } = await import('cloudflare:sockets');
+				const socket = connect({ hostname, port }, { secureTransport: tls ? 'on' : 'off', allowHalfOpen: false });
+				await socket.opened;
+
+				state.socket = socket;
+				state.writer = socket.writable.getWriter();
+				state.reconnectAttempts = 0;
+				if (this.consoleLog && !this.overloadConsole) {
+					console.log(`GELFLogger: TCP connected to ${hostname}:${port}`);
+				}
+
+				socket.closed.then(() => this._onTCPClosed(socket, null), error => this._onTCPClosed(socket, error));
+				state.connecting = null;
+				this._processTCPQueue();
+			} catch (error) {
+				state.connecting = null;
+				if (this.consoleLog && !this.overloadConsole) {
+					const connectionError = {
+						name: error?.name || 'UnknownError',
+						message: error?.message || String(error),
+						address: `${hostname}:${port}`,
+						tls: tls,
+						reconnectAttempts: state.reconnectAttempts
+					};
+					console.error('GELFLogger: TCP connection failed:', JSON.stringify(connectionError));
+				}
+				if (!this._scheduleTCPReconnect()) {
+					this._failTCPMessages(state.queue.splice(0), 'tcp_connect_error', error?.message || String(error));
+				}
+			}
+		})();
+
+		return state.connecting;
+	}
+
+	/**
+	 * Reset the connection when the socket closes, and reconnect
+	 *
+	 * @private
+	 * @param {Socket} socket - Socket that closed
+	 * @param {Error|null} error - Close error, if the socket closed abnormally
+	 */
+	_onTCPClosed(socket, error) {
+		const state = this.tcpState;
+		if (state.socket !== socket) {
+			return; // A newer connection has already replaced this one
+		}
+
+		state.socket = null;
+		state.writer = null;
+		if (this.consoleLog && !this.overloadConsole) {
+			const closeDetails = {
+				error: error?.message || null,
+				address: `${this.tcp.hostname}:${this.tcp.port}`,
+				reconnectAttempts: state.reconnectAttempts,
+				queueLength: state.queue.length
+			};
+			console.log('GELFLogger: TCP connection closed:', JSON.stringify(closeDetails));
+		}
+		this._scheduleTCPReconnect();
+	}
+
+	/**
+	 * Reconnect with exponential backoff, up to tcp.maxReconnectAttempts
+	 *
+	 * @private
+	 * @returns {boolean} True if a reconnect was scheduled, false once the attempts are used up
+	 */
+	_scheduleTCPReconnect() {
+		const state = this.tcpState;
+		if (state.reconnectAttempts >= this.tcp.maxReconnectAttempts) {
+			return false;
+		}
+
+		state.reconnectAttempts++;
+		const delay = Math.min(1000 * Math.pow(2, state.reconnectAttempts), 30000);
+		setTimeout(() => this._connectTCP(), delay);
+		return true;
+	}
+
+	/**
+	 * Count TCP messages that will not be sent as failed
+	 *
+	 * @private
+	 * @param {Array<Object>} messages - GELF messages given up on
+	 * @param {string} reason - Failure reason ('tcp_queue_full', 'tcp_connect_error' or 'tcp_write_error')
+	 * @param {string} error - Error message
+	 */
+	_failTCPMessages(messages, reason, error) {
+		this.stats.failed += messages.length;
+		this._logFailures(messages, {
+			reason: reason,
+			error: error,
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Write queued messages to the TCP connection, each terminated by a null byte (or framed by the formatter)
+	 *
+	 * @private
+	 */
+	_processTCPQueue() {
+		const state = this.tcpState;
+		if (!state.writer || state.queue.length === 0) {
+			return; // Not connected, or nothing to send
+		}
+
+		// One write per drain; frames are self-delimiting so they can share a chunk
+		const writer = state.writer;
+		const messages = state.queue.splice(0);
+		const frames = messages.map(message => {
+			const text = this._encodePayload([message]).body;
+			return this.formatter?.frame ? this.formatter.frame(text) : `${text}\0`;
+		}).join('');
+
+		const promise = writer.write(new TextEncoder().encode(frames))
+			.then(() => {
+				this.stats.sent += messages.length;
+			})
+			.catch(error => {
+				// Keep the messages, in order, for the next connection
+				state.queue.unshift(...messages);
+				if (state.writer === writer) {
+					state.socket?.close().catch(() => {});
+					state.socket = null;
+					state.writer = null;
+					if (this.consoleLog && !this.overloadConsole) {
+						console.error('GELFLogger: TCP write failed:', error?.message || String(error));
+					}
+					if (!this._scheduleTCPReconnect()) {
+						this._failTCPMessages(state.queue.splice(0), 'tcp_write_error', error?.message || String(error));
+					}
+				}
+			});
+
+		// Track promise but don't await it (non-blocking)
+		this.pendingPromises.push(promise);
+		if (this.pendingPromises.length > 100) {
+			this._cleanupPromises();
+		}
+	}
+
+	/**
+	 * Log a failed message for debugging
+	 *
+	 * @private
+	 * @param {Object} failureInfo - Information about the failure
+	 * @param {boolean} persist - Write it to the dead-letter store (false while the message is still being retried)
+	 */
+	_logFailure(failureInfo, persist = true) {
+		const { message, ...details } = failureInfo;
+		this._logFailures([message], details, persist);
+	}
+
+	/**
+	 * Log the failed messages of one payload for debugging
+	 *
+	 * @private
+	 * @param {Array<Object>} messages - GELF messages in the failed payload
+	 * @param {Object} details - Failure reason, error, timestamp, ...
+	 * @param {boolean} persist - Write the payload to the dead-letter store (false while the messages are still being retried)
+	 */
+	_logFailures(messages, details, persist = true) {
+		for (const message of messages) {
+			const failureInfo = { message, ...details };
+
+			// Add to failed messages array
+			this.failedMessages.push(failureInfo);
+
+			// Trim array to max size (keep most recent)
+			if (this.failedMessages.length > this.maxFailedMessages) {
+				this.failedMessages.shift();
+			}
+
+			// Also log to console in verbose mode
+			if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
+				console.error('GELFLogger: Failed to emit log', {
+					reason: failureInfo.reason,
+					error: failureInfo.error,
+					short_message: failureInfo.message.short_message,
+					level: failureInfo.message.level,
+					timestamp: new Date(failureInfo.timestamp).toISOString()
+				});
+			}
+		}
+
+		// Persist the payload as one record (replayed messages that fail again keep their existing record)
+		const unstored = this.deadLetter && persist ? messages.filter(message => !GELFLogger.#replaying.has(message)) : [];
+		if (unstored.length > 0) {
+			this._persistFailure({ messages: unstored, ...details });
+		}
+	}
+
+	/**
+	 * Write a failed payload to the dead-letter store (non-blocking; flush() waits for it)
+	 *
+	 * @private
+	 * @param {Object} failureInfo - Failed messages and information about the failure
+	 */
+	_persistFailure(failureInfo) {
+		const promise = Promise.resolve()
+			.then(() => this.deadLetter.store.put(failureInfo))
+			.then(() => {
+				this.deadLetterStats.stored += failureInfo.messages.length;
+			})
+			.catch(error => {
+				this.deadLetterStats.storeErrors++;
+				if (this.consoleLog && !this.overloadConsole) {
+					console.error('GELFLogger: Failed to store dead letter:', error?.message || String(error));
+				}
+			});
+
+		this.deadLetterPending.push(promise);
+	}
+
+	/**
+	 * Re-send messages from the dead-letter store, oldest record first
+	 * Each record (the messages of one failed payload) is re-sent in one payload and removed once delivered;
+	 * the rest stay for the next replay. Replays go to the queue, aggregator, service binding or HTTP endpoint,
+	 * so WebSocket and TCP loggers without an HTTP endpoint replay nothing.
+	 *
+	 * @example
+	 * async scheduled(controller, env, ctx) {
+	 *   const logger = new GELFLogger({ env, deadLetter: true });
+	 *   ctx.waitUntil(logger.replayFailed({ limit: 200 }));
+	 * }
+	 *
+	 * @param {Object} options - Replay options
+	 * @param {number} options.limit - Maximum number of stored records to re-send (default: 100)
+	 * @returns {Promise<Object>} { replayed, failed } message counts
+	 */
+	async replayFailed({ limit = 100 } = {}) {
+		const result = { replayed: 0, failed: 0 };
+		if (!this.deadLetter) {
+			return result;
+		}
+		if (!this.queue && !this.aggregator && !this.service && !this.endpoint) {
+			console.error('GELFLogger: replayFailed() needs an HTTP endpoint, queue, aggregator or service binding. Set GELF_LOGGING_URL or pass endpoint.');
+			return result;
+		}
+
+		let records;
+		try {
+			records = await this.deadLetter.store.list(limit);
+		} catch (error) {
+			if (this.consoleLog && !this.overloadConsole) {
+				console.error('GELFLogger: Failed to read dead letters:', error?.message || String(error));
+			}
+			return result;
+		}
+
+		await Promise.all(records.map(async record => {
+			const { messages } = record;
+			messages.forEach(message => GELFLogger.#replaying.add(message));
+
+			const { body, contentType } = this._encodePayload(messages);
+			const delivered = await (this.queue ? this._sendQueue(messages) : this._postHTTP(messages, body, contentType));
+			if (!delivered) {
+				result.failed += messages.length;
+				return;
+			}
+
+			result.replayed += messages.length;
+			try {
+				await this.deadLetter.store.delete(record.id);
+			} catch (error) {
+				// Left in the store, so it will be delivered again on the next replay
+				this.deadLetterStats.storeErrors++;
+			}
+		}));
+
+		this.deadLetterStats.replayed += result.replayed;
+		this.deadLetterStats.replayFailed += result.failed;
+		return result;
+	}
+
+	/**
+	 * Clean up resolved promises from tracking array
+	 *
+	 * @private
+	 */
+	_cleanupPromises() {
+		// Keep only pending promises
+		this.pendingPromises = this.pendingPromises.filter(p => {
+			let isPending = true;
+			p.then(() => { isPending = false; }).catch(() => { isPending = false; });
+			return isPending;
+		});
+	}
+
+	/**
+	 * Core logging method
+	 *
+	 * @private
+	 * @param {number} level - Log level
+	 * @param {string} shortMessage - Short message
+	 * @param {string|null} fullMessage - Full message
+	 * @param {Object} customFields - Custom fields
+	 */
+	_log(level, shortMessage, fullMessage = null, customFields = {}) {
+		try {
+			// Re-read the KV level in the background once the cached one expires
+			if (this.levelStore && this.levelControl.storeEntry.expires <= Date.now()) {
+				this.refreshLevel();
+			}
+
+			// Check if level should be logged
+			if (level > this.getLevel()) {
+				if (this.debugOnError) {
+					// Keep it in case an error follows
+					this._bufferDebugMessage(level, shortMessage, fullMessage, customFields);
+				} else {
+					this.stats.skipped++;
+				}
+				return;
+			}
+
+			// Sample by session: the same log_session_id is always kept or always dropped at a given rate
+			const sampleRate = this.debugOverride ? 1 : this.sampling?.rates[level] ?? 1;
+			if (sampleRate < 1 && GELFLogger._sampleHash(this.log_session_id) >= sampleRate) {
+				this.stats.sampled++;
+				return;
+			}
+
+			// Rate limit (repeats of the same message are collapsed into a later summary)
+			if (this.rateLimit && !this._checkRateLimit(level, shortMessage, fullMessage, customFields)) {
+				return;
+			}
+
+			// An error: send the context that led up to it first
+			if (this.debugOnError && level <= this.debugOnError.triggerLevel) {
+				this._emitDebugBuffer();
+			}
+
+			// Build GELF message
+			const gelfMessage = this._buildGELFMessage(level, shortMessage, fullMessage, customFields);
+			if (sampleRate < 1) {
+				// Lets dashboards re-weight counts (each kept message stands for 1 / rate messages)
+				gelfMessage._sample_rate = sampleRate;
+			}
+
+			// Send to GELF endpoint (non-blocking)
+			this._send(gelfMessage);
+
+			// Also log to console if enabled and not overloading console (console sinks write their own output)
+			// Echo the built message, so console output is redacted and truncated like what was sent
+			if (this.consoleLog && !this.overloadConsole && !this.sinks?.some(sink => !sink.logger)) {
+				const levelName = Object.keys(GELFLogger.LEVELS).find(
+					key => GELFLogger.LEVELS[key] === level
+				);
+				let logMessage = `[${levelName}]`;
+				//try and json parse short_message
+				try {
+					JSON.parse(gelfMessage.short_message);
+					logMessage += ` ${JSON.stringify(gelfMessage.short_message)}`;
+				} catch (e) {
+					logMessage += ` ${gelfMessage.short_message}`;
+				}
+				//add full_message if exists
+				if (gelfMessage.full_message) {
+					try {
+						JSON.parse(gelfMessage.full_message);
+						logMessage += `\n${JSON.stringify(gelfMessage.full_message)}`;
+					} catch (e) {
+						logMessage += `\n${gelfMessage.full_message}`;
+					}
+				}
+				console.log(logMessage);
+			}
+		} catch (error) {
+			// Graceful failure - never interrupt main thread
+			this.stats.failed++;
+			if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
+				console.error('GELFLogger: Internal error:', error.message);
+			}
+		}
+	}
+
+	/**
+	 * Add a below-level message to the debug-on-error ring buffer
+	 * The GELF message is only built if the buffer is emitted, so discarded messages don't touch the redacted or truncated stats.
+	 *
+	 * @private
+	 * @param {number} level - Log level
+	 * @param {string} shortMessage - Short message
+	 * @param {string|null} fullMessage - Full message
+	 * @param {Object} customFields - Custom fields
+	 */
+	_bufferDebugMessage(level, shortMessage, fullMessage, customFields) {
+		const entries = this.debugBuffer.entries;
+		// The buffer is shared with child loggers, so remember which one logged the message
+		entries.push({ logger: this, timestamp: Date.now(), args: [level, shortMessage, fullMessage, { ...customFields }] });
+		this.debugBufferStats.buffered++;
+
+		// Ring buffer: drop the oldest message once full
+		if (entries.length > this.debugOnError.size) {
+			entries.shift();
+			this.debugBufferStats.dropped++;
+			this.stats.skipped++;
+		}
+	}
+
+	/**
+	 * Send every buffered message, oldest first, tagged `_buffered: true`
+	 *
+	 * @private
+	 */
+	_emitDebugBuffer() {
+		const entries = this.debugBuffer.entries.splice(0);
+		for (const { logger, timestamp, args } of entries) {
+			const gelfMessage = logger._buildGELFMessage(...args);
+			gelfMessage.timestamp = timestamp / 1000;
+			gelfMessage._buffered = true;
+			this._send(gelfMessage);
+		}
+		this.debugBufferStats.emitted += entries.length;
+	}
+
+	/**
+	 * Take rate-limit tokens for a message, recording it as a repeat if its duplicate bucket is empty
+	 * Emits the pending repeat summary before a message that is allowed again.
+	 *
+	 * @private
+	 * @param {number} level - Log level
+	 * @param {string} shortMessage - Short message
+	 * @param {string|null} fullMessage - Full message
+	 * @param {Object} customFields - Custom fields
+	 * @returns {boolean} True if the message may be sent
+	 */
+	_checkRateLimit(level, shortMessage, fullMessage, customFields) {
+		const now = Date.now();
+		const { levels, messages } = this.rateLimitState;
+		const { duplicates, maxTracked } = this.rateLimit;
+
+		// Re-insert so the map stays ordered from least to most recently seen
+		const fingerprint = duplicates.key
+			? String(duplicates.key(level, shortMessage, customFields))
+			: `${level}:${shortMessage}:${GELFLogger.serialize(customFields)}`;
+		let entry = messages.get(fingerprint);
+		if (entry) {
+			messages.delete(fingerprint);
+		} else {
+			entry = { bucket: { tokens: duplicates.burst, updated: now }, repeats: 0, lastSent: now, lastRepeat: now, args: null };
+		}
+		messages.set(fingerprint, entry);
+		if (messages.size > maxTracked) {
+			const [oldestFingerprint, oldest] = messages.entries().next().value;
+			messages.delete(oldestFingerprint);
+			if (oldest.repeats > 0) {
+				this._emitRepeatSummary(oldest);
+			}
+		}
+
+		if (!GELFLogger._takeToken(entry.bucket, duplicates, now)) {
+			entry.repeats++;
+			entry.lastRepeat = now;
+			entry.args = [level, shortMessage, fullMessage, customFields];
+			this.rateLimitStats.collapsed++;
+			return false;
+		}
+
+		const limit = this.rateLimit.levels[level];
+		if (!levels.has(level)) {
+			levels.set(level, { tokens: limit.burst, updated: now });
+		}
+		if (!GELFLogger._takeToken(levels.get(level), limit, now)) {
+			this.rateLimitStats.suppressed++;
+			return false;
+		}
+
+		if (entry.repeats > 0) {
+			this._emitRepeatSummary(entry);
+		}
+		entry.lastSent = now;
+		return true;
+	}
+
+	/**
+	 * Send the "repeated N times in Xs" summary for a collapsed message
+	 *
+	 * @private
+	 * @param {Object} entry - Duplicate tracking entry with pending repeats
+	 */
+	_emitRepeatSummary(entry) {
+		const [level, shortMessage, fullMessage, customFields] = entry.args;
+		const seconds = Math.round((entry.lastRepeat - entry.lastSent) / 100) / 10;
+		const summary = this._buildGELFMessage(
+			level,
+			`${shortMessage} (repeated ${entry.repeats} times in ${seconds}s)`,
+			fullMessage,
+			{ ...customFields, repeat_count: entry.repeats }
+		);
+		entry.repeats = 0;
+		entry.args = null;
+		this.rateLimitStats.summaries++;
+		this._send(summary);
+	}
+
+	/**
+	 * Take one token from a bucket after refilling it for the time elapsed
+	 *
+	 * @private
+	 * @param {Object} bucket - { tokens, updated }, updated in place
+	 * @param {Object} limit - { rate, burst }
+	 * @param {number} now - Current time in epoch ms
+	 * @returns {boolean} True if a token was available
+	 */
+	static _takeToken(bucket, limit, now) {
+		bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updated) / 1000) * limit.rate);
+		bucket.updated = now;
+		if (bucket.tokens < 1) {
+			return false;
+		}
+		bucket.tokens--;
+		return true;
+	}
+
+	// ==================== Public Logging Methods ====================
+
+	/**
+	 * Log an emergency message (level 0)
+	 * System is unusable
+	 */
+	emergency(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.EMERGENCY, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log an alert message (level 1)
+	 * Action must be taken immediately
+	 */
+	alert(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.ALERT, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log a critical message (level 2)
+	 * Critical conditions
+	 */
+	critical(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.CRITICAL, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log an error message (level 3)
+	 * Error conditions
+	 */
+	error(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.ERROR, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log a warning message (level 4)
+	 * Warning conditions
+	 */
+	warning(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.WARNING, shortMessage, fullMessage, customFields);
+	}
+
+	// Alias for warning
+	warn(shortMessage, fullMessage = null, customFields = {}) {
+		this.warning(shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log a notice message (level 5)
+	 * Normal but significant condition
+	 */
+	notice(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.NOTICE, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log an info message (level 6)
+	 * Informational messages
+	 */
+	info(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.INFO, shortMessage, fullMessage, customFields);
+	}
+
+	// Alias for info
+	log(shortMessage, fullMessage = null, customFields = {}) {
+		this.info(shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log a debug message (level 7)
+	 * Debug-level messages
+	 */
+	debug(shortMessage, fullMessage = null, customFields = {}) {
+		this._log(GELFLogger.LEVELS.DEBUG, shortMessage, fullMessage, customFields);
+	}
+
+	/**
+	 * Log an exception with stack trace
+	 *
+	 * @param {Error} error - Error object
+	 * @param {Object} customFields - Additional custom fields
+	 */
+	exception(error, customFields = {}) {
+		const fields = {
+			...customFields,
+			exception_type: error.name,
+			exception_message: error.message,
+			exception_stack: error.stack
+		};
+
+		// Exceptions always send the debug-on-error buffer, whatever its triggerLevel
+		if (this.debugOnError) {
+			this._emitDebugBuffer();
+		}
+
+		this._log(
+			GELFLogger.LEVELS.ERROR,
+			error.message,
+			error.stack,
+			fields
+		);
+	}
+
+	/**
+	 * Change the minimum level at runtime, for this logger and its child loggers
+	 * Takes precedence over the KV level and the configured minLevel until reset with null.
+	 *
+	 * @param {number|string|null} level - Level number, level name ('DEBUG'), or null to restore the default
+	 * @returns {boolean} True if the level was applied
+	 */
+	setLevel(level) {
+		if (level === null || level === undefined) {
+			this.levelControl.level = null;
+			return true;
+		}
+
+		const parsed = GELFLogger._parseLevel(level);
+		if (parsed === null) {
+			if (this.consoleLog && !this.overloadConsole) {
+				console.error(`GELFLogger: Unknown level "${level}".`);
+			}
+			return false;
+		}
+		this.levelControl.level = parsed;
+		return true;
+	}
+
+	/**
+	 * Get the minimum level currently in effect
+	 *
+	 * @returns {number} setLevel() / set_level override, else the KV level, else minLevel (lowered further by a debug override)
+	 */
+	getLevel() {
+		const level = this.levelControl.level ?? this.levelControl.storeEntry?.level ?? this.minLevel;
+		// A debug override can only make this request more verbose
+		return this.debugOverride ? Math.max(level, this.debugOverride.level) : level;
+	}
+
+	/**
+	 * Read the level from the KV level store, unless the cached value is still fresh
+	 * The cached (possibly stale) level stays in effect until the read completes. The read belongs to
+	 * this request: flush() waits for it, and other requests keep the cached level meanwhile.
+	 *
+	 * @returns {Promise<number>} Level in effect once the store has been read
+	 */
+	refreshLevel() {
+		if (!this.levelStore) {
+			return Promise.resolve(this.getLevel());
+		}
+
+		const { binding, ttl } = this.levelStore;
+		const keys = this._levelKeys();
+		let cache = GELFLogger.#levelCache.get(binding);
+		if (!cache) {
+			cache = new Map();
+			GELFLogger.#levelCache.set(binding, cache);
+		}
+		const cacheKey = keys.join('|');
+		if (!cache.has(cacheKey)) {
+			cache.set(cacheKey, { level: null, expires: 0 });
+		}
+		const entry = cache.get(cacheKey);
+		const control = this.levelControl;
+		control.storeEntry = entry;
+
+		if (control.pending) {
+			return control.pending.then(() => this.getLevel());
+		}
+		if (entry.expires > Date.now()) {
+			return Promise.resolve(this.getLevel());
+		}
+
+		// Mark the read as in progress; if this request ends before it completes, the mark expires
+		entry.expires = Date.now() + GELFLogger.#LEVEL_READ_TIMEOUT;
+		const promise = Promise.all(keys.map(key => binding.get(key)))
+			.then(values => {
+				// Most specific key wins; no key (or an invalid value) means use minLevel
+				const value = values.find(candidate => candidate !== null && candidate !== undefined);
+				entry.level = value !== undefined ? GELFLogger._parseLevel(value) : null;
+			})
+			.catch(error => {
+				// Keep the previous level rather than retrying KV on every message
+				if (this.consoleLog && !this.overloadConsole) {
+					console.error('GELFLogger: Failed to read level store:', error?.message || String(error));
+				}
+			})
+			.then(() => {
+				entry.expires = Date.now() + ttl * 1000;
+				control.pending = null;
+			});
+		control.pending = promise;
+
+		// Track promise so flush() (and waitUntil) keep the read alive
+		this.pendingPromises.push(promise);
+		if (this.pendingPromises.length > 100) {
+			this._cleanupPromises();
+		}
+		return promise.then(() => this.getLevel());
+	}
+
+	/**
+	 * KV keys the level is looked up under, most specific first
+	 *
+	 * @private
+	 * @returns {Array<string>} Keys for worker/environment/function, worker/environment and worker
+	 */
+	_levelKeys() {
+		const { prefix } = this.levelStore;
+		const { environment, function_name: functionName } = this.cfContext;
+		const keys = [`${prefix}${this.host}`];
+		if (environment) {
+			keys.unshift(`${prefix}${this.host}/${environment}`);
+			if (functionName) {
+				keys.unshift(`${prefix}${this.host}/${environment}/${functionName}`);
+			}
+		}
+		return keys;
+	}
+
+	/**
+	 * Create a child logger with additional context
+	 *
+	 * @param {Object} contextFields - Context fields to add to all logs
+	 * @returns {GELFLogger} New logger instance with context
+	 */
+	child(contextFields = {}) {
+		const childLogger = new GELFLogger({
+			endpoint: this.endpoint,
+			useWebSocket: this.useWebSocket,
+			wsEndpoint: this.wsEndpoint,
+			aggregator: this.aggregator,
+			queue: this.queue,
+			service: this.service,
+			tcp: this.tcp,
+			host: this.host,
+			facility: this.facility,
+			globalFields: { ...this.globalFields, ...contextFields },
+			minLevel: this.minLevel,
+			debugOnError: this.debugOnError,
+			sampling: this.sampling,
+			rateLimit: this.rateLimit,
+			consoleLog: this.consoleLog,
+			overloadConsole: this.overloadConsole,
+			timeout: this.timeout,
+			batch: this.batch,
+			retry: this.retry,
+			compression: this.compression,
+			strict: this.strict,
+			limits: this.limits,
+			flatten: this.flatten,
+			serializer: this.serializer,
+			format: this.formatter,
+			headers: this.headers,
+			sinks: this.sinks,
+			deadLetter: this.deadLetter
+		});
+		// Redaction rules are already compiled; share them rather than re-resolving
+		childLogger.redact = this.redact;
+		// Preserve Cloudflare context, session ID, and access credentials in child logger
+		childLogger.cfContext = { ...this.cfContext };
+		// Each child logger is a new span within the parent's trace
+		if (this.trace) {
+			childLogger.trace = {
+				...this.trace,
+				spanId: GELFLogger._randomHex(8),
+				parentSpanId: this.trace.spanId
+			};
+			childLogger._applyTraceContext();
+		}
+		childLogger.log_session_id = this.log_session_id;
+		childLogger.accessId = this.accessId;
+		childLogger.accessSecret = this.accessSecret;
+		// Share WebSocket connection with parent
+		if (this.useWebSocket) {
+			childLogger.wsConnection = this.wsConnection;
+			childLogger.wsMessageQueue = this.wsMessageQueue;
+		}
+		// Share TCP connection and queue with parent
+		if (this.tcp) {
+			childLogger.tcpState = this.tcpState;
+		}
+		// Share batch buffer with parent so a single flush() sends everything
+		if (this.batch) {
+			childLogger.batchQueue = this.batchQueue;
+		}
+		// Share the debug-on-error buffer so an error anywhere in the session sends all of it
+		if (this.debugOnError) {
+			childLogger.debugBuffer = this.debugBuffer;
+		}
+		// A debug override covers the whole request
+		childLogger.debugOverride = this.debugOverride;
+		// Runtime level changes (and the KV level) apply to the whole logger tree
+		childLogger.levelControl = this.levelControl;
+		childLogger.levelStore = this.levelStore;
+		// Share rate-limit buckets so a hot loop in a child is limited too
+		if (this.rateLimit) {
+			childLogger.rateLimitState = this.rateLimitState;
+		}
+		return childLogger;
+	}
+
+	/**
+	 * Get trace propagation headers for the current span
+	 * Always includes W3C traceparent (and tracestate if present); adds B3 if the trace arrived as B3.
+	 *
+	 * @returns {Object} Header name/value pairs (empty if there is no trace context)
+	 */
+	getTraceHeaders() {
+		if (!this.trace) {
+			return {};
+		}
+
+		const { traceId, spanId, sampled, traceState, format } = this.trace;
+		const headers = {
+			traceparent: `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`
+		};
+		if (traceState) {
+			headers.tracestate = traceState;
+		}
+		if (format === 'b3') {
+			headers.b3 = `${traceId}-${spanId}-${sampled ? '1' : '0'}`;
+		}
+		return headers;
+	}
+
+	/**
+	 * Add trace propagation headers to fetch() options so downstream logs join the same trace
+	 *
+	 * @example
+	 * await fetch(url, logger.injectTraceHeaders({ method: 'POST', body }));
+	 *
+	 * @param {Object} init - fetch() options (default: {})
+	 * @returns {Object} Copy of the options with trace headers added
+	 */
+	injectTraceHeaders(init = {}) {
+		const headers = new Headers(init.headers);
+		for (const [name, value] of Object.entries(this.getTraceHeaders())) {
+			headers.set(name, value);
+		}
+		return { ...init, headers };
+	}
+
+	/**
+	 * Copy the trace context into the Cloudflare context fields
+	 *
+	 * @private
+	 */
+	_applyTraceContext() {
+		this.cfContext.trace_id = this.trace.traceId;
+		this.cfContext.span_id = this.trace.spanId;
+		if (this.trace.parentSpanId) {
+			this.cfContext.parent_span_id = this.trace.parentSpanId;
+		} else {
+			delete this.cfContext.parent_span_id;
+		}
+	}
+
+	/**
+	 * Wait for all pending log messages to complete
+	 * Useful for ensuring logs are sent before worker termination
+	 * For WebSocket mode, ensures connection is established and queue is drained
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		try {
+			// No error in this session: the buffered debug messages are not needed
+			if (this.debugOnError) {
+				const discarded = this.debugBuffer.entries.splice(0).length;
+				this.debugBufferStats.discarded += discarded;
+				this.stats.skipped += discarded;
+			}
+
+			// Summarize messages still being collapsed, so their counts aren't lost
+			if (this.rateLimit) {
+				for (const entry of this.rateLimitState.messages.values()) {
+					if (entry.repeats > 0) {
+						this._emitRepeatSummary(entry);
+					}
+				}
+			}
+
+			// For WebSocket mode, ensure connection and drain queue
+			if (this.useWebSocket) {
+				// Wait for connection if currently connecting
+				if (this.wsConnecting) {
+					// Poll until connected or max wait time (5 seconds)
+					const maxWait = 5000;
+					const startTime = Date.now();
+					while (this.wsConnecting && (Date.now() - startTime) < maxWait) {
+						await new Promise(resolve => setTimeout(resolve, 50));
+					}
+				}
+
+				// If not connected, attempt to connect and wait
+				if (!this.wsConnection || this.wsConnection.readyState !== 1) {
+					await this._connectWebSocket();
+					// Wait a bit for connection to establish
+					const maxWait = 5000;
+					const startTime = Date.now();
+					while (this.wsConnecting && (Date.now() - startTime) < maxWait) {
+						await new Promise(resolve => setTimeout(resolve, 50));
+					}
+				}
+
+				// Process any remaining queued messages
+				if (this.wsConnection && this.wsConnection.readyState === 1 && this.wsMessageQueue.length > 0) {
+					this._processWebSocketQueue();
+				}
+
+				// If still have messages in queue after processing, log warning
+				if (this.wsMessageQueue.length > 0) {
+					if (this.consoleLog && !this.overloadConsole) {
+						console.warn(`GELFLogger: flush() completed with ${this.wsMessageQueue.length} messages still in queue (connection state: ${this.wsConnection?.readyState})`);
+					}
+				}
+			}
+
+			// For TCP mode, connect if needed and write the queue
+			if (this.tcp && this.tcpState.queue.length > 0) {
+				if (!this.tcpState.writer) {
+					await this._connectTCP();
+				}
+				this._processTCPQueue();
+
+				if (this.tcpState.queue.length > 0 && this.consoleLog && !this.overloadConsole) {
+					console.warn(`GELFLogger: flush() completed with ${this.tcpState.queue.length} messages still in TCP queue`);
+				}
+			}
+
+			// Send any buffered batch (HTTP batching mode)
+			if (this.batch) {
+				this._sendBatch();
+			}
+
+			// Flush every sink's transport
+			if (this.sinks) {
+				await Promise.allSettled(this.sinks.filter(sink => sink.logger).map(sink => sink.logger.flush()));
+			}
+
+			// Wait for any HTTP pending promises (HTTP mode)
+			await Promise.allSettled(this.pendingPromises);
+			this.pendingPromises = [];
+
+			// Wait for failures still being written to the dead-letter store
+			await Promise.allSettled(this.deadLetterPending.splice(0));
+		} catch (error) {
+			// Silent fail on flush errors
+			if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
+				console.warn('GELFLogger: Flush error:', error.message);
+			}
+		}
+	}
+
+	/**
+	 * Get logger statistics
+	 *
+	 * @returns {Object} Stats object with sent, failed and skipped counts (plus sampled, truncated, redacted, batch/ws details when enabled)
+	 */
+	getStats() {
+		const { sampled, truncated, redacted, ...counts } = this.stats;
+		const stats = {
+			...counts,
+			failedMessagesCount: this.failedMessages.length
+		};
+
+		// Feature counters are only reported when the feature is configured
+		if (this.sampling) {
+			stats.sampled = sampled;
+		}
+		if (this.limits) {
+			stats.truncated = truncated;
+		}
+		if (this.redact) {
+			stats.redacted = redacted;
+		}
+
+		// Add batch stats if batching is enabled
+		if (this.batch) {
+			stats.batch = {
+				...this.batchStats,
+				averageMessages: this.batchStats.batches > 0 ? this.batchStats.messages / this.batchStats.batches : 0,
+				averageBytes: this.batchStats.batches > 0 ? this.batchStats.bytes / this.batchStats.batches : 0,
+				pendingMessages: this.batchQueue.entries.length,
+				pendingBytes: this.batchQueue.bytes
+			};
+		}
+
+		// Add retry stats if retries are enabled
+		if (this.retry) {
+			stats.retry = { ...this.retryStats };
+		}
+
+		// Add field correction counts if strict mode is enabled
+		if (this.strict) {
+			const { offenders, ...counts } = this.diagnostics;
+			stats.validation = counts;
+		}
+
+		// Add WebSocket-specific stats if using WebSocket mode
+		if (this.useWebSocket) {
+			stats.ws = {
+				queueLength: this.wsMessageQueue?.length || 0,
+				connected: this.wsConnection?.readyState === 1,
+				readyState: this.wsConnection?.readyState,
+				readyStateLabel: ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'][this.wsConnection?.readyState] || 'NO_CONNECTION',
+				reconnectAttempts: this.wsReconnectAttempts,
+				maxReconnectAttempts: this.wsMaxReconnectAttempts,
+				connecting: this.wsConnecting
+			};
+		}
+
+		// Add per-sink stats (delivery counts live here, not in the top-level sent/failed)
+		if (this.sinks) {
+			stats.sinks = {};
+			for (const sink of this.sinks) {
+				stats.sinks[sink.name] = {
+					minLevel: sink.minLevel,
+					...sink.stats,
+					...(sink.logger ? sink.logger.getStats() : {})
+				};
+			}
+		}
+
+		// Add TCP connection stats if using GELF TCP
+		if (this.tcp) {
+			stats.tcp = {
+				address: `${this.tcp.hostname}:${this.tcp.port}`,
+				tls: this.tcp.tls,
+				queueLength: this.tcpState.queue.length,
+				connected: this.tcpState.writer !== null,
+				connecting: this.tcpState.connecting !== null,
+				reconnectAttempts: this.tcpState.reconnectAttempts,
+				maxReconnectAttempts: this.tcp.maxReconnectAttempts
+			};
+		}
+
+		// Add debug-on-error buffer stats if enabled
+		if (this.debugOnError) {
+			stats.debugBuffer = {
+				...this.debugBufferStats,
+				pending: this.debugBuffer.entries.length,
+				size: this.debugOnError.size
+			};
+		}
+
+		// Add rate limiting stats if enabled
+		if (this.rateLimit) {
+			stats.rateLimit = {
+				...this.rateLimitStats,
+				pendingRepeats: [...this.rateLimitState.messages.values()].reduce((total, entry) => total + entry.repeats, 0)
+			};
+		}
+
+		// Add dead-letter store stats if persistence is enabled
+		if (this.deadLetter) {
+			stats.deadLetter = {
+				store: this.deadLetter.kind,
+				...this.deadLetterStats
+			};
+		}
+
+		return stats;
+	}
+
+	/**
+	 * Get strict-mode field diagnostics
+	 * Lists each offending key with its correction counts and the last message it appeared in
+	 *
+	 * @returns {Object} Correction counters plus an `offenders` map keyed by field name
+	 */
+	getDiagnostics() {
+		const offenders = {};
+		for (const [key, offender] of Object.entries(this.diagnostics.offenders)) {
+			offenders[key] = { ...offender, corrections: { ...offender.corrections } };
+		}
+		return { ...this.diagnostics, offenders };
+	}
+
+	/**
+	 * Get failed messages for debugging
+	 *
+	 * @param {number} limit - Maximum number of failed messages to return (default: all)
+	 * @returns {Array} Array of failed message objects
+	 */
+	getFailedMessages(limit = null) {
+		const messages = [...this.failedMessages];
+		return limit ? messages.slice(-limit) : messages;
+	}
+
+	/**
+	 * Get a summary of failure reasons
+	 *
+	 * Also reports how many messages were retried then succeeded, and how many gave up after retrying
+	 *
+	 * @returns {Object} Object with failure counts by reason
+	 */
+	getFailureSummary() {
+		const summary = {
+			no_endpoint: 0,
+			http_error: 0,
+			timeout: 0,
+			network_error: 0,
+			queue_error: 0,
+			tcp_connect_error: 0,
+			tcp_write_error: 0,
+			tcp_queue_full: 0,
+			other: 0,
+			retried_then_succeeded: this.retryStats.recovered,
+			gave_up: this.retryStats.exhausted
+		};
+
+		this.failedMessages.forEach(failure => {
+			if (summary.hasOwnProperty(failure.reason)) {
+				summary[failure.reason]++;
+			} else {
+				summary.other++;
+			}
+		});
+
+		return summary;
+	}
+
+	/**
+	 * Clear failed messages history (the dead-letter store is left as is)
+	 */
+	clearFailedMessages() {
+		this.failedMessages = [];
+	}
+
+	/**
+	 * Reset logger statistics
+	 */
+	resetStats() {
+		this.stats = {
+			sent: 0,
+			failed: 0,
+			skipped: 0,
+			sampled: 0,
+			truncated: 0,
+			redacted: 0
+		};
+		this.batchStats = GELFLogger._emptyBatchStats();
+		this.retryStats = GELFLogger._emptyRetryStats();
+		this.diagnostics = GELFLogger._emptyDiagnostics();
+		this.failedMessages = [];
+		this.deadLetterStats = GELFLogger._emptyDeadLetterStats();
+		this.debugBufferStats = GELFLogger._emptyDebugBufferStats();
+		this.rateLimitStats = GELFLogger._emptyRateLimitStats();
+		for (const sink of this.sinks || []) {
+			sink.stats = GELFLogger._emptySinkStats();
+			sink.logger?.resetStats();
+		}
+	}
+
+	/**
+	 * Normalize the batch option into a full batch configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} batch - Batch option from the constructor config
+	 * @returns {Object|null} Batch configuration, or null if batching is disabled
+	 */
+	static _resolveBatchConfig(batch) {
+		if (!batch) {
+			return null;
+		}
+
+		const options = batch === true ? {} : batch;
+		return {
+			maxMessages: options.maxMessages || 50,
+			maxBytes: options.maxBytes || 1024 * 1024,
+			maxWait: options.maxWait !== undefined ? options.maxWait : 1000,
+			format: options.format === 'json_array' ? 'json_array' : 'ndjson'
+		};
+	}
+
+	/**
+	 * Normalize the aggregator option into a Durable Object binding and instance name
+	 *
+	 * @private
+	 * @param {boolean|Object} aggregator - Aggregator option from the constructor config
+	 * @param {Object} env - Worker env (for the default GELF_AGGREGATOR binding)
+	 * @returns {Object|null} Aggregator configuration, or null if the aggregator is disabled
+	 */
+	static _resolveAggregatorConfig(aggregator, env) {
+		if (!aggregator) {
+			return null;
+		}
+
+		// Accept the namespace itself as well as { binding, name }
+		const options = aggregator === true ? {} : typeof aggregator.idFromName === 'function' ? { binding: aggregator } : aggregator;
+		const binding = options.binding || env?.GELF_AGGREGATOR;
+		if (!binding || typeof binding.idFromName !== 'function') {
+			console.error('GELFLogger: aggregator requires a Durable Object binding. Bind GELFAggregator as GELF_AGGREGATOR or pass aggregator.binding.');
+			return null;
+		}
+
+		return {
+			binding,
+			name: options.name || 'default'
+		};
+	}
+
+	/**
+	 * Resolve the format option into a formatter
+	 *
+	 * @private
+	 * @param {string|Object} format - Format option from the constructor config
+	 * @returns {Object|null} Formatter, or null for plain GELF
+	 */
+	static _resolveFormatter(format) {
+		if (!format || format === 'gelf' || format === FORMATTERS.gelf) {
+			return null;
+		}
+		if (typeof format === 'object' && typeof format.format === 'function' && typeof format.encode === 'function') {
+			return format;
+		}
+		if (typeof format === 'string' && Object.hasOwn(FORMATTERS, format)) {
+			return FORMATTERS[format];
+		}
+
+		console.error(`GELFLogger: Unknown format "${format}". Use one of ${Object.keys(FORMATTERS).join(', ')} or a { format, encode } object; falling back to GELF.`);
+		return null;
+	}
+
+	/**
+	 * Build the sinks from the sinks option
+	 * Every transport sink is backed by its own GELFLogger, so it gets that transport's batching,
+	 * retries, stats and failure tracking. Message-shaping options (redact, strict, limits, ...)
+	 * belong to the logger that owns the sinks.
+	 *
+	 * @private
+	 * @param {Array<Object>} sinks - Sinks option from the constructor config
+	 * @param {Object} config - Constructor config (for env and consoleLog)
+	 * @returns {Array<Object>|null} Sinks, or null if no sinks are configured
+	 * @throws {Error} If a sink is neither a console sink nor has a destination
+	 */
+	static _createSinks(sinks, config) {
+		if (!Array.isArray(sinks) || sinks.length === 0) {
+			return null;
+		}
+
+		// Already built (passed on by child())
+		if (GELFLogger.#builtSinks.has(sinks)) {
+			return sinks;
+		}
+
+		const built = sinks.map((sink, index) => {
+			const { name, minLevel, filter, console: toConsole, access, ...transportConfig } = sink;
+			const sinkName = name || `sink${index + 1}`;
+
+			// Sinks name their destination; falling back to env.GELF_LOGGING_URL would silently duplicate the main endpoint
+			const destinations = ['endpoint', 'wsEndpoint', 'tcp', 'queue', 'service', 'aggregator'];
+			if (!toConsole && !destinations.some(option => transportConfig[option])) {
+				throw new Error(`GELFLogger: sink "${sinkName}" has no endpoint. Pass endpoint (or wsEndpoint, tcp, queue, service or aggregator), or console: true.`);
+			}
+
+			return {
+				name: sinkName,
+				minLevel: minLevel !== undefined ? minLevel : GELFLogger.LEVELS.INFO,
+				filter: typeof filter === 'function' ? filter : null,
+				// The Access credentials protect the Graylog endpoint; other sinks (third-party webhooks, archives) only get them on request
+				logger: toConsole ? null : new GELFLogger({
+					consoleLog: config.consoleLog,
+					env: config.env,
+					access: access !== undefined ? access : Boolean(transportConfig.endpoint) && transportConfig.endpoint === config.env?.GELF_LOGGING_URL,
+					...transportConfig
+				}),
+				stats: GELFLogger._emptySinkStats()
+			};
+		});
+		GELFLogger.#builtSinks.add(built);
+		return built;
+	}
+
+	/**
+	 * Create an empty sink statistics object
+	 *
+	 * @private
+	 * @returns {Object} Sink statistics
+	 */
+	static _emptySinkStats() {
+		return {
+			dispatched: 0,   // Messages handed to the sink
+			filtered: 0,     // Messages the sink's level or filter rejected
+			errors: 0        // Messages the sink threw on
+		};
+	}
+
+	/**
+	 * Normalize the tcp option into a host, port and TLS configuration
+	 *
+	 * @private
+	 * @param {boolean|string|Object} tcp - TCP option from the constructor config
+	 * @param {Object} env - Worker env (for the default GELF_TCP_ADDRESS)
+	 * @returns {Object|null} TCP configuration, or null if the TCP transport is disabled
+	 */
+	static _resolveTCPConfig(tcp, env) {
+		if (!tcp) {
+			return null;
+		}
+
+		const options = typeof tcp === 'object' ? tcp : {};
+		const address = typeof tcp === 'string' ? tcp : options.hostname ? null : env?.GELF_TCP_ADDRESS;
+		let { hostname, port } = options;
+		if (address) {
+			const separator = address.lastIndexOf(':');
+			hostname = separator > 0 ? address.slice(0, separator) : address;
+			port = separator > 0 ? Number(address.slice(separator + 1)) : port;
+		}
+
+		if (!hostname) {
+			console.error('GELFLogger: tcp requires a host. Set GELF_TCP_ADDRESS (host:port) or pass tcp.hostname.');
+			return null;
+		}
+
+		return {
+			hostname,
+			port: port || 12201,
+			tls: options.tls || false,
+			maxReconnectAttempts: options.maxReconnectAttempts !== undefined ? options.maxReconnectAttempts : 5,
+			maxQueueSize: options.maxQueueSize !== undefined ? options.maxQueueSize : 1000
+		};
+	}
+
+	/**
+	 * Normalize the service option into a service binding and request URL
+	 *
+	 * @private
+	 * @param {boolean|Object} service - Service option from the constructor config
+	 * @param {Object} env - Worker env (for the default GELF_SERVICE binding)
+	 * @param {string|null} endpoint - Configured GELF endpoint, reused as the request URL
+	 * @returns {Object|null} Service configuration, or null if the service transport is disabled
+	 */
+	static _resolveServiceConfig(service, env, endpoint) {
+		if (!service) {
+			return null;
+		}
+
+		// Accept the binding itself as well as { binding, url }
+		const options = service === true ? {} : typeof service.fetch === 'function' ? { binding: service } : service;
+		const binding = options.binding || env?.GELF_SERVICE;
+		if (!binding || typeof binding.fetch !== 'function') {
+			console.error('GELFLogger: service requires a service binding. Bind the ingestion Worker as GELF_SERVICE or pass service.binding.');
+			return null;
+		}
+
+		return {
+			binding,
+			url: options.url || endpoint || 'https://gelf-service/'
+		};
+	}
+
+	/**
+	 * Normalize the queue option into a Queue producer binding
+	 *
+	 * @private
+	 * @param {boolean|Object} queue - Queue option from the constructor config
+	 * @param {Object} env - Worker env (for the default GELF_QUEUE binding)
+	 * @returns {Object|null} Queue configuration, or null if the queue transport is disabled
+	 */
+	static _resolveQueueConfig(queue, env) {
+		if (!queue) {
+			return null;
+		}
+
+		// Accept the producer binding itself as well as { binding }
+		const options = queue === true ? {} : typeof queue.send === 'function' ? { binding: queue } : queue;
+		const binding = options.binding || env?.GELF_QUEUE;
+		if (!binding || typeof binding.send !== 'function') {
+			console.error('GELFLogger: queue requires a Queue producer binding. Bind one as GELF_QUEUE or pass queue.binding.');
+			return null;
+		}
+
+		return { binding };
+	}
+
+	/**
+	 * Normalize the deadLetter option into a dead-letter store configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} deadLetter - deadLetter option from the constructor config
+	 * @param {Object} env - Worker env (for the GELF_DEAD_LETTER_STORE binding)
+	 * @returns {Object|null} Dead-letter configuration with its store, or null if disabled
+	 */
+	static _resolveDeadLetterConfig(deadLetter, env) {
+		if (!deadLetter) {
+			return null;
+		}
+
+		// Already resolved (passed on by child())
+		if (deadLetter.store) {
+			return deadLetter;
+		}
+
+		// Accept the storage binding itself as well as { binding, ... }
+		const options = deadLetter === true ? {} : detectStoreKind(deadLetter) ? { binding: deadLetter } : deadLetter;
+		const binding = options.binding || env?.GELF_DEAD_LETTER_STORE;
+		const kind = detectStoreKind(binding);
+		if (!kind) {
+			console.error('GELFLogger: deadLetter requires a KV, R2 or D1 binding. Bind one as GELF_DEAD_LETTER_STORE or pass deadLetter.binding.');
+			return null;
+		}
+
+		const table = options.table || 'gelf_dead_letters';
+		if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+			console.error(`GELFLogger: Invalid deadLetter table name "${table}".`);
+			return null;
+		}
+
+		const config = {
+			kind,
+			binding,
+			prefix: options.prefix !== undefined ? options.prefix : 'gelf-dead-letter/',
+			ttl: options.ttl || null,
+			table
+		};
+		return { ...config, store: createDeadLetterStore(config) };
+	}
+
+	/**
+	 * Create an empty dead-letter statistics object
+	 *
+	 * @private
+	 * @returns {Object} Dead-letter statistics
+	 */
+	static _emptyDeadLetterStats() {
+		return {
+			stored: 0,
+			storeErrors: 0,
+			replayed: 0,
+			replayFailed: 0
+		};
+	}
+
+	/**
+	 * Create an empty batch statistics object
+	 *
+	 * @private
+	 * @returns {Object} Batch statistics
+	 */
+	static _emptyBatchStats() {
+		return {
+			batches: 0,
+			failed: 0,
+			messages: 0,
+			bytes: 0,
+			largestMessages: 0,
+			largestBytes: 0
+		};
+	}
+
+	/**
+	 * Normalize the retry option into a full retry configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} retry - Retry option from the constructor config
+	 * @returns {Object|null} Retry configuration, or null if retries are disabled
+	 */
+	static _resolveRetryConfig(retry) {
+		if (!retry) {
+			return null;
+		}
+
+		const options = retry === true ? {} : retry;
+		return {
+			maxAttempts: options.maxAttempts || 3,
+			baseDelay: options.baseDelay !== undefined ? options.baseDelay : 100,
+			maxDelay: options.maxDelay !== undefined ? options.maxDelay : 2000,
+			jitter: options.jitter !== undefined ? Math.min(Math.max(options.jitter, 0), 1) : 0.5,
+			retryOn: options.retryOn || [408, 425, 429, 500, 502, 503, 504],
+			respectRetryAfter: options.respectRetryAfter !== undefined ? options.respectRetryAfter : true
+		};
+	}
+
+	/**
+	 * Create an empty retry statistics object
+	 *
+	 * @private
+	 * @returns {Object} Retry statistics
+	 */
+	static _emptyRetryStats() {
+		return {
+			retries: 0,     // Extra attempts made
+			recovered: 0,   // Messages delivered after at least one retry
+			exhausted: 0    // Messages that failed after at least one retry
+		};
+	}
+
+	/**
+	 * Normalize the debugOnError option into a full ring buffer configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} debugOnError - debugOnError option from the constructor config
+	 * @returns {Object|null} Buffer configuration, or null if disabled
+	 */
+	static _resolveDebugOnErrorConfig(debugOnError) {
+		if (!debugOnError) {
+			return null;
+		}
+
+		const options = debugOnError === true ? {} : debugOnError;
+		return {
+			size: options.size || 100,
+			triggerLevel: options.triggerLevel !== undefined ? options.triggerLevel : GELFLogger.LEVELS.ERROR
+		};
+	}
+
+	/**
+	 * Create an empty debug-on-error buffer statistics object
+	 *
+	 * @private
+	 * @returns {Object} Debug buffer statistics
+	 */
+	static _emptyDebugBufferStats() {
+		return {
+			buffered: 0,    // Below-level messages kept
+			emitted: 0,     // Sent because an error followed
+			discarded: 0,   // Dropped at flush() with no error
+			dropped: 0      // Pushed out of the full buffer
+		};
+	}
+
+	/**
+	 * Normalize the sampling option into a rate per level
+	 *
+	 * @private
+	 * @param {number|Object} sampling - sampling option from the constructor config
+	 * @returns {Object|null} { rates } keyed by level number, or null if sampling is disabled
+	 */
+	static _resolveSamplingConfig(sampling) {
+		if (sampling === undefined || sampling === null || sampling === false) {
+			return null;
+		}
+
+		const options = typeof sampling === 'number' ? { rate: sampling } : sampling;
+		const configured = options.rates || {};
+		const rates = {};
+		for (const [name, level] of Object.entries(GELFLogger.LEVELS)) {
+			// ERROR and above are never sampled
+			if (level <= GELFLogger.LEVELS.ERROR) {
+				continue;
+			}
+			const rate = configured[name] ?? configured[level] ?? options.rate ?? 1;
+			rates[level] = Math.min(Math.max(Number(rate) || 0, 0), 1);
+		}
+		return { rates };
+	}
+
+	/**
+	 * Normalize the levelStore option into a KV level store configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} levelStore - levelStore option from the constructor config
+	 * @param {Object} env - Worker env (for the GELF_LEVEL_STORE binding)
+	 * @returns {Object|null} { binding, ttl, prefix }, or null if disabled
+	 */
+	static _resolveLevelStoreConfig(levelStore, env) {
+		if (!levelStore) {
+			return null;
+		}
+
+		// Accept the KV binding itself as well as { binding, ... }
+		const options = levelStore === true ? {} : typeof levelStore.getWithMetadata === 'function' ? { binding: levelStore } : levelStore;
+		const binding = options.binding || env?.GELF_LEVEL_STORE;
+		if (!binding || typeof binding.get !== 'function') {
+			console.error('GELFLogger: levelStore requires a KV namespace binding. Bind one as GELF_LEVEL_STORE or pass levelStore.binding.');
+			return null;
+		}
+
+		return {
+			binding,
+			ttl: options.ttl !== undefined ? options.ttl : 60,
+			prefix: options.prefix !== undefined ? options.prefix : 'gelf-level/'
+		};
+	}
+
+	/**
+	 * Load node:crypto on first use
+	 * Only loggers that hash (redact 'hash' strategy, debugOverride) need the nodejs_compat flag.
+	 *
+	 * @private
+	 * @returns {Object|null} node:crypto module, or null if the runtime doesn't provide it
+	 */
+	static _nodeCrypto() {
+		if (GELFLogger.#nodeCrypto === undefined) {
+			GELFLogger.#nodeCrypto = globalThis.process?.getBuiltinModule?.('node:crypto') ?? null;
+		}
+		return GELFLogger.#nodeCrypto;
+	}
+
+	/**
+	 * Compute a hex HMAC-SHA256
+	 *
+	 * @private
+	 * @param {string} secret - HMAC secret
+	 * @param {string} data - Data to sign
+	 * @returns {string} Hex digest
+	 * @throws {Error} If node:crypto is unavailable (nodejs_compat flag not set)
+	 */
+	static _hmacSHA256(secret, data) {
+		const nodeCrypto = GELFLogger._nodeCrypto();
+		if (!nodeCrypto) {
+			throw new Error('GELFLogger: HMAC signing requires node:crypto. Enable the nodejs_compat compatibility flag.');
+		}
+		return nodeCrypto.createHmac('sha256', secret).update(data).digest('hex');
+	}
+
+	/**
+	 * Create a debug override token for the debugOverride request header
+	 * The token is `<expires>.<hex HMAC-SHA256 of "<expires>.<scope>">`, valid until it expires for the
+	 * workers whose scope (their host, unless debugOverride.scope is set) matches.
+	 *
+	 * @example
+	 * const token = GELFLogger.signDebugOverride(env.GELF_DEBUG_SECRET, 'checkout-worker', 600);
+	 * await fetch(url, { headers: { 'x-gelf-debug': token } });
+	 *
+	 * @param {string} secret - HMAC secret (the workers' GELF_DEBUG_SECRET)
+	 * @param {string} scope - Host (or debugOverride.scope) of the workers the token is for
+	 * @param {number} ttl - Seconds until the token expires (default: 900)
+	 * @returns {string} Header value
+	 * @throws {Error} If no scope is given
+	 */
+	static signDebugOverride(secret, scope, ttl = 900) {
+		if (!scope || typeof scope !== 'string') {
+			throw new Error('GELFLogger: signDebugOverride requires a scope (the worker host or debugOverride.scope).');
+		}
+		const expires = String(Math.floor(Date.now() / 1000) + ttl);
+		return `${expires}.${GELFLogger._hmacSHA256(secret, `${expires}.${scope}`)}`;
+	}
+
+	/**
+	 * Check a request's debug override header
+	 * Missing, malformed, wrongly signed (including for another scope), expired or too long-lived tokens are ignored.
+	 *
+	 * @private
+	 * @param {Request} request - Incoming request
+	 * @param {boolean|Object} debugOverride - debugOverride option from the constructor config
+	 * @param {Object} env - Worker env (for GELF_DEBUG_SECRET)
+	 * @param {string} host - Logger host, the default scope
+	 * @returns {Object|null} { level, expires } if the header is valid, otherwise null
+	 */
+	static _verifyDebugOverride(request, debugOverride, env, host) {
+		if (!debugOverride) {
+			return null;
+		}
+
+		// Misconfiguration is reported once per isolate, not on every request
+		const options = debugOverride === true ? {} : debugOverride;
+		const secret = options.secret || env?.GELF_DEBUG_SECRET;
+		const problem = !secret
+			? 'debugOverride requires a secret. Set GELF_DEBUG_SECRET or pass debugOverride.secret.'
+			: !GELFLogger._nodeCrypto() ? 'debugOverride requires node:crypto. Enable the nodejs_compat compatibility flag.' : null;
+		if (problem) {
+			if (!GELFLogger.#debugOverrideWarned) {
+				GELFLogger.#debugOverrideWarned = true;
+				console.error(`GELFLogger: ${problem}`);
+			}
+			return null;
+		}
+
+		const token = request.headers?.get?.(options.header || 'x-gelf-debug');
+		const match = token ? /^(\d{1,12})\.([0-9a-f]{64})$/.exec(token.trim()) : null;
+		if (!match) {
+			return null;
+		}
+
+		const expires = Number(match[1]);
+		const now = Date.now() / 1000;
+		const maxTtl = options.maxTtl !== undefined ? options.maxTtl : 3600;
+		if (expires <= now || expires > now + maxTtl) {
+			return null;
 		}
-	}
 
-	// ==================== Public Logging Methods ====================
+		// Compare every character so the check takes the same time wherever the signatures differ
+		const expected = GELFLogger._hmacSHA256(secret, `${match[1]}.${options.scope || host}`);
+		let difference = 0;
+		for (let i = 0; i < expected.length; i++) {
+			difference |= expected.charCodeAt(i) ^ match[2].charCodeAt(i);
+		}
+		if (difference !== 0) {
+			return null;
+		}
 
-	/**
-	 * Log an emergency message (level 0)
-	 * System is unusable
-	 */
-	emergency(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.EMERGENCY, shortMessage, fullMessage, customFields);
+		return {
+			level: GELFLogger._parseLevel(options.level ?? GELFLogger.LEVELS.DEBUG) ?? GELFLogger.LEVELS.DEBUG,
+			expires
+		};
 	}
 
 	/**
-	 * Log an alert message (level 1)
-	 * Action must be taken immediately
+	 * Parse a level given as a number or a level name
+	 *
+	 * @private
+	 * @param {number|string} level - Level number (0-7), numeric string, or name such as 'DEBUG' or 'warn'
+	 * @returns {number|null} Level number, or null if it isn't a level
 	 */
-	alert(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.ALERT, shortMessage, fullMessage, customFields);
+	static _parseLevel(level) {
+		if (typeof level === 'string') {
+			const name = level.trim().toUpperCase();
+			if (name in GELFLogger.LEVELS) {
+				return GELFLogger.LEVELS[name];
+			}
+			if (name === 'WARN') {
+				return GELFLogger.LEVELS.WARNING;
+			}
+			level = name === '' ? NaN : Number(name);
+		}
+		return Number.isInteger(level) && level >= GELFLogger.LEVELS.EMERGENCY && level <= GELFLogger.LEVELS.DEBUG ? level : null;
 	}
 
 	/**
-	 * Log a critical message (level 2)
-	 * Critical conditions
+	 * Normalize the rateLimit option into bucket limits per level and for duplicates
+	 *
+	 * @private
+	 * @param {boolean|Object} rateLimit - rateLimit option from the constructor config
+	 * @returns {Object|null} Rate limit configuration, or null if disabled
 	 */
-	critical(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.CRITICAL, shortMessage, fullMessage, customFields);
+	static _resolveRateLimitConfig(rateLimit) {
+		if (!rateLimit) {
+			return null;
+		}
+
+		const options = rateLimit === true ? {} : rateLimit;
+		const overrides = options.levels || {};
+		const levels = {};
+		for (const [name, level] of Object.entries(GELFLogger.LEVELS)) {
+			const override = overrides[name] || overrides[level] || {};
+			levels[level] = {
+				rate: override.rate ?? options.rate ?? 100,
+				burst: override.burst ?? options.burst ?? 200
+			};
+		}
+
+		const duplicates = options.duplicates || {};
+		return {
+			levels,
+			duplicates: {
+				rate: duplicates.rate ?? 1,
+				burst: duplicates.burst ?? 1,
+				key: typeof duplicates.key === 'function' ? duplicates.key : null
+			},
+			maxTracked: options.maxTracked || 1000
+		};
 	}
 
 	/**
-	 * Log an error message (level 3)
-	 * Error conditions
+	 * Create an empty rate limiting statistics object
+	 *
+	 * @private
+	 * @returns {Object} Rate limiting statistics
 	 */
-	error(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.ERROR, shortMessage, fullMessage, customFields);
+	static _emptyRateLimitStats() {
+		return {
+			suppressed: 0,  // Dropped by a level bucket
+			collapsed: 0,   // Repeats folded into a summary
+			summaries: 0    // "repeated N times" messages sent
+		};
 	}
 
 	/**
-	 * Log a warning message (level 4)
-	 * Warning conditions
+	 * Map a session ID to a stable number in [0, 1) for sampling decisions (FNV-1a)
+	 *
+	 * @private
+	 * @param {string} value - Session ID
+	 * @returns {number} Hash scaled to [0, 1)
 	 */
-	warning(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.WARNING, shortMessage, fullMessage, customFields);
-	}
-
-	// Alias for warning
-	warn(shortMessage, fullMessage = null, customFields = {}) {
-		this.warning(shortMessage, fullMessage, customFields);
+	static _sampleHash(value) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < value.length; i++) {
+			hash ^= value.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0) / 0x100000000;
 	}
 
 	/**
-	 * Log a notice message (level 5)
-	 * Normal but significant condition
+	 * Normalize the compression option into a full compression configuration
+	 *
+	 * @private
+	 * @param {string|Object} compression - Compression option from the constructor config
+	 * @returns {Object|null} Compression configuration, or null if compression is disabled
 	 */
-	notice(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.NOTICE, shortMessage, fullMessage, customFields);
+	static _resolveCompressionConfig(compression) {
+		if (!compression) {
+			return null;
+		}
+
+		const options = typeof compression === 'string' ? { encoding: compression } : compression === true ? {} : compression;
+		return {
+			encoding: options.encoding === 'deflate' ? 'deflate' : 'gzip',
+			threshold: options.threshold !== undefined ? options.threshold : 1024
+		};
 	}
 
 	/**
-	 * Log an info message (level 6)
-	 * Informational messages
+	 * Normalize the strict option into a full strict-mode configuration
+	 *
+	 * @private
+	 * @param {boolean|Object} strict - Strict option from the constructor config
+	 * @returns {Object|null} Strict-mode configuration, or null if strict mode is disabled
 	 */
-	info(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.INFO, shortMessage, fullMessage, customFields);
-	}
+	static _resolveStrictConfig(strict) {
+		if (!strict) {
+			return null;
+		}
 
-	// Alias for info
-	log(shortMessage, fullMessage = null, customFields = {}) {
-		this.info(shortMessage, fullMessage, customFields);
+		const options = strict === true ? {} : strict;
+		return {
+			invalidKeys: options.invalidKeys === 'drop' ? 'drop' : 'sanitize'
+		};
 	}
 
 	/**
-	 * Log a debug message (level 7)
-	 * Debug-level messages
+	 * Create an empty strict-mode diagnostics object
+	 *
+	 * @private
+	 * @returns {Object} Diagnostics
 	 */
-	debug(shortMessage, fullMessage = null, customFields = {}) {
-		this._log(GELFLogger.LEVELS.DEBUG, shortMessage, fullMessage, customFields);
+	static _emptyDiagnostics() {
+		return {
+			sanitizedKeys: 0,
+			collidedKeys: 0,
+			droppedKeys: 0,
+			coercedValues: 0,
+			droppedValues: 0,
+			offenders: {}
+		};
 	}
 
 	/**
-	 * Log an exception with stack trace
+	 * Normalize the limits option into a full size limit configuration
 	 *
-	 * @param {Error} error - Error object
-	 * @param {Object} customFields - Additional custom fields
+	 * @private
+	 * @param {boolean|Object} limits - Limits option from the constructor config
+	 * @returns {Object|null} Size limits in bytes, or null if truncation is disabled
 	 */
-	exception(error, customFields = {}) {
-		const fields = {
-			...customFields,
-			exception_type: error.name,
-			exception_message: error.message,
-			exception_stack: error.stack
-		};
+	static _resolveLimitsConfig(limits) {
+		if (!limits) {
+			return null;
+		}
 
-		this._log(
-			GELFLogger.LEVELS.ERROR,
-			error.message,
-			error.stack,
-			fields
-		);
+		const options = limits === true ? {} : limits;
+		return {
+			shortMessage: options.shortMessage || 1024,
+			fullMessage: options.fullMessage || 32 * 1024,
+			field: options.field || 8 * 1024,
+			message: options.message || 64 * 1024
+		};
 	}
 
 	/**
-	 * Create a child logger with additional context
+	 * Normalize the flatten option into a full flattening configuration
 	 *
-	 * @param {Object} contextFields - Context fields to add to all logs
-	 * @returns {GELFLogger} New logger instance with context
+	 * @private
+	 * @param {boolean|Object} flatten - Flatten option from the constructor config
+	 * @returns {Object|null} Flattening configuration, or null if flattening is disabled
 	 */
-	child(contextFields = {}) {
-		const childLogger = new GELFLogger({
-			endpoint: this.endpoint,
-			useWebSocket: this.useWebSocket,
-			wsEndpoint: this.wsEndpoint,
-			host: this.host,
-			facility: this.facility,
-			globalFields: { ...this.globalFields, ...contextFields },
-			minLevel: this.minLevel,
-			consoleLog: this.consoleLog,
-			overloadConsole: this.overloadConsole,
-			timeout: this.timeout
-		});
-		// Preserve Cloudflare context, session ID, and access credentials in child logger
-		childLogger.cfContext = { ...this.cfContext };
-		childLogger.log_session_id = this.log_session_id;
-		childLogger.accessId = this.accessId;
-		childLogger.accessSecret = this.accessSecret;
-		// Share WebSocket connection with parent
-		if (this.useWebSocket) {
-			childLogger.wsConnection = this.wsConnection;
-			childLogger.wsMessageQueue = this.wsMessageQueue;
+	static _resolveFlattenConfig(flatten) {
+		if (!flatten) {
+			return null;
 		}
-		return childLogger;
+
+		const options = flatten === true ? {} : flatten;
+		return {
+			separator: options.separator === '.' ? '.' : '_',
+			maxDepth: options.maxDepth || 3,
+			maxKeys: options.maxKeys || 50
+		};
 	}
 
 	/**
-	 * Wait for all pending log messages to complete
-	 * Useful for ensuring logs are sent before worker termination
-	 * For WebSocket mode, ensures connection is established and queue is drained
+	 * Normalize the redact option into compiled redaction rules
 	 *
-	 * @returns {Promise<void>}
+	 * @private
+	 * @param {boolean|Object} redact - Redact option from the constructor config
+	 * @param {Object} env - Cloudflare Worker env object
+	 * @returns {Object|null} Redaction configuration, or null if redaction is disabled
 	 */
-	async flush() {
-		try {
-			// For WebSocket mode, ensure connection and drain queue
-			if (this.useWebSocket) {
-				// Wait for connection if currently connecting
-				if (this.wsConnecting) {
-					// Poll until connected or max wait time (5 seconds)
-					const maxWait = 5000;
-					const startTime = Date.now();
-					while (this.wsConnecting && (Date.now() - startTime) < maxWait) {
-						await new Promise(resolve => setTimeout(resolve, 50));
-					}
-				}
+	static _resolveRedactConfig(redact, env) {
+		if (!redact) {
+			return null;
+		}
 
-				// If not connected, attempt to connect and wait
-				if (!this.wsConnection || this.wsConnection.readyState !== 1) {
-					await this._connectWebSocket();
-					// Wait a bit for connection to establish
-					const maxWait = 5000;
-					const startTime = Date.now();
-					while (this.wsConnecting && (Date.now() - startTime) < maxWait) {
-						await new Promise(resolve => setTimeout(resolve, 50));
-					}
-				}
+		const options = redact === true ? {} : redact;
+		// Without node:crypto, hashing falls back to masking like a missing secret does
+		const secret = options.secret || env?.GELF_REDACTION_SECRET;
+		const canHash = Boolean(secret) && GELFLogger._nodeCrypto() !== null;
+		const missingSecret = options.strategy === 'hash' && !canHash;
+		const defaultStrategy = ['remove', 'hash'].includes(options.strategy) && !missingSecret ? options.strategy : 'mask';
+		const strategyFor = rule => {
+			if (rule.strategy === 'hash' && !canHash) return 'mask';
+			return ['mask', 'remove', 'hash'].includes(rule.strategy) ? rule.strategy : defaultStrategy;
+		};
 
-				// Process any remaining queued messages
-				if (this.wsConnection && this.wsConnection.readyState === 1 && this.wsMessageQueue.length > 0) {
-					this._processWebSocketQueue();
-				}
+		const keys = (options.keys || ['*password*', '*passwd*', '*secret*', 'authorization', 'cookie', 'set-cookie', 'token', '*_token', '*api_key*', '*apikey*'])
+			.map(rule => (typeof rule === 'string' ? { pattern: rule } : rule))
+			.map(rule => {
+				const source = String(rule.pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+				return { regex: new RegExp(`^${source}$`, 'i'), strategy: strategyFor(rule) };
+			});
 
-				// If still have messages in queue after processing, log warning
-				if (this.wsMessageQueue.length > 0) {
-					if (this.consoleLog && !this.overloadConsole) {
-						console.warn(`GELFLogger: flush() completed with ${this.wsMessageQueue.length} messages still in queue (connection state: ${this.wsConnection?.readyState})`);
-					}
+		const values = (options.values || ['credit_card', 'jwt'])
+			.map(rule => (typeof rule === 'string' || rule instanceof RegExp ? { pattern: rule } : rule))
+			.map(rule => {
+				const builtIn = typeof rule.pattern === 'string' ? GELFLogger.REDACTION_PATTERNS[rule.pattern] : null;
+				if (typeof rule.pattern === 'string' && !builtIn) {
+					return null;
 				}
-			}
+				const regex = builtIn ? builtIn.regex : rule.pattern;
+				return {
+					regex: new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`),
+					validate: rule.validate || builtIn?.validate,
+					strategy: strategyFor(rule)
+				};
+			})
+			.filter(Boolean);
+
+		return {
+			keys,
+			values,
+			secret,
+			mask: options.mask || '[REDACTED]',
+			missingSecret
+		};
+	}
 
-			// Wait for any HTTP pending promises (HTTP mode)
-			await Promise.allSettled(this.pendingPromises);
-			this.pendingPromises = [];
-		} catch (error) {
-			// Silent fail on flush errors
-			if (this.consoleLog && !this.overloadConsole) { // Only log if not overloading console
-				console.warn('GELFLogger: Flush error:', error.message);
+	/**
+	 * Validate a digit string with the Luhn checksum (credit card numbers)
+	 *
+	 * @private
+	 * @param {string} digits - Digits to check
+	 * @returns {boolean} True if the checksum is valid
+	 */
+	static _luhnCheck(digits) {
+		let sum = 0;
+		for (let i = 0; i < digits.length; i++) {
+			let digit = Number(digits[digits.length - 1 - i]);
+			if (i % 2 === 1) {
+				digit *= 2;
+				if (digit > 9) digit -= 9;
 			}
+			sum += digit;
 		}
+		return digits.length >= 13 && sum % 10 === 0;
 	}
 
 	/**
-	 * Get logger statistics
+	 * Parse incoming trace context from W3C traceparent/tracestate or B3 (single or multi) headers
 	 *
-	 * @returns {Object} Stats object with sent, failed, and skipped counts
+	 * @private
+	 * @param {Headers} headers - Request headers
+	 * @returns {Object|null} Caller's trace context ({ traceId, spanId, sampled, traceState, format }) or null
 	 */
-	getStats() {
-		const stats = {
-			...this.stats,
-			failedMessagesCount: this.failedMessages.length
-		};
+	static _parseTraceHeaders(headers) {
+		const isValidId = (id, length) => typeof id === 'string' && id.length === length && /^[0-9a-f]+$/.test(id) && !/^0+$/.test(id);
+
+		// W3C Trace Context
+		const traceparent = headers.get('traceparent');
+		if (traceparent) {
+			const [version, traceId, spanId, flags] = traceparent.trim().toLowerCase().split('-');
+			if (version !== 'ff' && isValidId(traceId, 32) && isValidId(spanId, 16) && /^[0-9a-f]{2}$/.test(flags || '')) {
+				return {
+					traceId,
+					spanId,
+					sampled: (parseInt(flags, 16) & 1) === 1,
+					traceState: headers.get('tracestate') || null,
+					format: 'w3c'
+				};
+			}
+		}
 
-		// Add WebSocket-specific stats if using WebSocket mode
-		if (this.useWebSocket) {
-			stats.ws = {
-				queueLength: this.wsMessageQueue?.length || 0,
-				connected: this.wsConnection?.readyState === 1,
-				readyState: this.wsConnection?.readyState,
-				readyStateLabel: ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'][this.wsConnection?.readyState] || 'NO_CONNECTION',
-				reconnectAttempts: this.wsReconnectAttempts,
-				maxReconnectAttempts: this.wsMaxReconnectAttempts,
-				connecting: this.wsConnecting
-			};
+		// B3 single header: {TraceId}-{SpanId}-{SamplingState}-{ParentSpanId}
+		const b3 = headers.get('b3');
+		if (b3) {
+			const [rawTraceId, spanId, sampling] = b3.trim().toLowerCase().split('-');
+			const traceId = rawTraceId?.length === 16 ? rawTraceId.padStart(32, '0') : rawTraceId;
+			if (isValidId(traceId, 32) && isValidId(spanId, 16)) {
+				return { traceId, spanId, sampled: sampling !== '0', traceState: null, format: 'b3' };
+			}
 		}
 
-		return stats;
+		// B3 multiple headers
+		const rawTraceId = headers.get('x-b3-traceid')?.trim().toLowerCase();
+		const spanId = headers.get('x-b3-spanid')?.trim().toLowerCase();
+		const traceId = rawTraceId?.length === 16 ? rawTraceId.padStart(32, '0') : rawTraceId;
+		if (isValidId(traceId, 32) && isValidId(spanId, 16)) {
+			return { traceId, spanId, sampled: headers.get('x-b3-sampled') !== '0', traceState: null, format: 'b3' };
+		}
+
+		return null;
 	}
 
 	/**
-	 * Get failed messages for debugging
+	 * Generate a random lowercase hex string
 	 *
-	 * @param {number} limit - Maximum number of failed messages to return (default: all)
-	 * @returns {Array} Array of failed message objects
+	 * @private
+	 * @param {number} bytes - Number of random bytes
+	 * @returns {string} Hex string of length bytes * 2
 	 */
-	getFailedMessages(limit = null) {
-		const messages = [...this.failedMessages];
-		return limit ? messages.slice(-limit) : messages;
+	static _randomHex(bytes) {
+		return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
 	}
 
 	/**
-	 * Get a summary of failure reasons
+	 * Check whether a value is a non-empty plain object or array that can be flattened
 	 *
-	 * @returns {Object} Object with failure counts by reason
+	 * @private
+	 * @param {*} value - Value to check
+	 * @returns {boolean} True if the value can be flattened
 	 */
-	getFailureSummary() {
-		const summary = {
-			no_endpoint: 0,
-			http_error: 0,
-			timeout: 0,
-			network_error: 0,
-			other: 0
-		};
+	static _isFlattenable(value) {
+		if (Array.isArray(value)) {
+			return value.length > 0;
+		}
+		const proto = Object.getPrototypeOf(value);
+		return (proto === Object.prototype || proto === null) && Object.keys(value).length > 0;
+	}
 
-		this.failedMessages.forEach(failure => {
-			if (summary.hasOwnProperty(failure.reason)) {
-				summary[failure.reason]++;
-			} else {
-				summary.other++;
-			}
-		});
+	/**
+	 * Truncate a string to a UTF-8 byte size, appending a marker with the removed size
+	 * The marker counts towards the limit; multi-byte characters are never split.
+	 *
+	 * @private
+	 * @param {string} value - String to truncate
+	 * @param {number} maxBytes - Maximum size in bytes
+	 * @returns {string} The original string if it fits, otherwise the truncated string
+	 */
+	static _truncateString(value, maxBytes) {
+		const bytes = new TextEncoder().encode(value);
+		if (bytes.length <= maxBytes) {
+			return value;
+		}
 
-		return summary;
+		const removedSize = size => size >= 1024 ? `${Math.round(size / 1024)}KB` : `${size}B`;
+		let marker = `…[truncated ${removedSize(bytes.length - maxBytes)}]`;
+		let cut = Math.max(maxBytes - GELFLogger._byteLength(marker), 0);
+		// The removed size grows by the marker length, so recompute once
+		marker = `…[truncated ${removedSize(bytes.length - cut)}]`;
+		cut = Math.max(maxBytes - GELFLogger._byteLength(marker), 0);
+
+		// Back off to the start of a UTF-8 character
+		while (cut > 0 && (bytes[cut] & 0xc0) === 0x80) {
+			cut--;
+		}
+
+		return new TextDecoder().decode(bytes.subarray(0, cut)) + marker;
 	}
 
 	/**
-	 * Clear failed messages history
+	 * Compress a string with the runtime's CompressionStream
+	 *
+	 * @private
+	 * @param {string} body - String to compress
+	 * @param {string} encoding - 'gzip' or 'deflate'
+	 * @returns {Promise<ArrayBuffer>} Compressed bytes
 	 */
-	clearFailedMessages() {
-		this.failedMessages = [];
+	static _compress(body, encoding) {
+		const stream = new Blob([body]).stream().pipeThrough(new CompressionStream(encoding));
+		return new Response(stream).arrayBuffer();
 	}
 
 	/**
-	 * Reset logger statistics
+	 * Get the UTF-8 byte length of a string
+	 *
+	 * @private
+	 * @param {string} value - String to measure
+	 * @returns {number} Byte length
 	 */
-	resetStats() {
-		this.stats = {
-			sent: 0,
-			failed: 0,
-			skipped: 0
-		};
-		this.failedMessages = [];
+	static _byteLength(value) {
+		return new TextEncoder().encode(value).length;
 	}
 
 	/**
@@ -1011,7 +3941,7 @@ export class GELFLogger {
 						shortMessage = `Assertion Failed: ${String(args[1] || 'no message')}`;
 						if (args.length > 2) {
 							fullMessage = args.slice(2).map(arg => {
-								if (typeof arg === 'object' && arg !== null) return JSON.stringify(arg);
+								if (typeof arg === 'object' && arg !== null) return logger._serialize(arg);
 								return String(arg);
 							}).join(' ');
 						}
@@ -1029,12 +3959,12 @@ export class GELFLogger {
 								if (typeof lastArg === 'object' && lastArg !== null && !Array.isArray(lastArg) && !(lastArg instanceof Error)) {
 									customFields = lastArg;
 									fullMessage = remainingArgs.slice(0, -1).map(arg => {
-										if (typeof arg === 'object' && arg !== null) return JSON.stringify(arg);
+										if (typeof arg === 'object' && arg !== null) return logger._serialize(arg);
 										return String(arg);
 									}).join(' ');
 								} else {
 									fullMessage = remainingArgs.map(arg => {
-										if (typeof arg === 'object' && arg !== null) return JSON.stringify(arg);
+										if (typeof arg === 'object' && arg !== null) return logger._serialize(arg);
 										return String(arg);
 									}).join(' ');
 								}
@@ -1062,3 +3992,9 @@ export class GELFLogger {
 		logger._originalConsole = originalConsole;
 	}
 }
+
+export { withGELFLogger } from './handlers.js';
+export { createGELFTailHandler } from './tail.js';
+export { GELFAggregator } from './aggregator.js';
+export { createGELFQueueConsumer } from './queue.js';
+export { createSyslogFormatter } from './formatters.js';
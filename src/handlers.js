@@ -0,0 +1,192 @@
+import { GELFLogger } from './gelf-logger.js';
+
+/**
+ * Cloudflare Worker handler wrappers
+ *
+ * Removes the per-worker boilerplate of creating a GELFLogger, running the handler in its
+ * context, logging unhandled exceptions, and flushing with ctx.waitUntil().
+ */
+
+// Non-fetch handlers and the GELFLogger config key their first argument is passed as
+const EVENT_HANDLERS = {
+	scheduled: 'scheduledController',
+	queue: 'messageBatch',
+	email: 'emailMessage',
+	tail: 'tailEvents'
+};
+
+/**
+ * Wrap a Worker's exported handlers with GELF logging
+ *
+ * The fetch handler runs inside logger.run() (so GELFLogger.current works anywhere) and
+ * receives the logger as a fourth argument. One access-log message is emitted per request,
+ * unhandled exceptions are logged and answered with a 500, and logs are flushed via ctx.waitUntil().
+ *
+ * scheduled, queue, email and tail handlers are wrapped the same way: their event is passed to
+ * the logger for context (cron, queue name, sender, ...), one completion message is emitted per
+ * invocation, and unhandled exceptions are logged and rethrown so the runtime still sees the
+ * failure (e.g. Queue retries).
+ *
+ * @example
+ * export default withGELFLogger({
+ *   async fetch(request, env, ctx, logger) {
+ *     logger.info('Handling request');
+ *     return new Response('OK');
+ *   }
+ * }, { minLevel: GELFLogger.LEVELS.DEBUG });
+ *
+ * @param {Object|Function} handler - Worker handler object ({ fetch, scheduled, queue, email, tail }) or a fetch function
+ * @param {Object} options - GELFLogger config (env and the event are filled in per invocation)
+ * @param {boolean} options.accessLog - Emit one access-log / completion message per invocation (default: true)
+ * @param {Function} options.onError - (error, request, env, ctx) => Response for unhandled exceptions (default: plain 500)
+ * @param {boolean} options.measureResponseSize - Count the body of responses without a Content-Length as it is sent, delaying the access log until it ends (default: false)
+ * @returns {Object} Worker handler object with wrapped handlers
+ */
+export function withGELFLogger(handler, options = {}) {
+	const handlers = typeof handler === 'function' ? { fetch: handler } : handler;
+	const { accessLog = true, onError, measureResponseSize = false, ...loggerConfig } = options;
+	const wrapped = { ...handlers };
+
+	if (typeof handlers.fetch === 'function') {
+		wrapped.fetch = (request, env, ctx) => {
+			const logger = new GELFLogger({ ...loggerConfig, env, request });
+			const startTime = Date.now();
+
+			return logger.run(async () => {
+				let response;
+				let logged = Promise.resolve();
+				try {
+					try {
+						response = await handlers.fetch.call(handlers, request, env, ctx, logger);
+					} catch (error) {
+						logger.exception(error, { unhandled: true });
+						response = onError
+							? await onError(error, request, env, ctx)
+							: new Response('Internal Server Error', { status: 500 });
+					}
+
+					if (accessLog) {
+						({ response, logged } = logAccess(logger, request, response, Date.now() - startTime, measureResponseSize));
+					}
+				} finally {
+					// Also runs when onError throws; streamed responses are logged once their body is sent
+					ctx?.waitUntil?.(logged.then(() => logger.flush()));
+				}
+				return response;
+			});
+		};
+	}
+
+	for (const [name, contextKey] of Object.entries(EVENT_HANDLERS)) {
+		if (typeof handlers[name] !== 'function') {
+			continue;
+		}
+
+		wrapped[name] = (event, env, ctx) => {
+			const logger = new GELFLogger({ ...loggerConfig, env, [contextKey]: event });
+			const startTime = Date.now();
+
+			return logger.run(async () => {
+				try {
+					const result = await handlers[name].call(handlers, event, env, ctx, logger);
+					if (accessLog) {
+						logCompletion(logger, name, 'ok', Date.now() - startTime);
+					}
+					return result;
+				} catch (error) {
+					logger.exception(error, { unhandled: true });
+					if (accessLog) {
+						logCompletion(logger, name, 'exception', Date.now() - startTime);
+					}
+					throw error;
+				} finally {
+					ctx?.waitUntil?.(logger.flush());
+				}
+			});
+		};
+	}
+
+	return wrapped;
+}
+
+/**
+ * Emit the completion message for a non-fetch handler invocation
+ *
+ * @private
+ * @param {GELFLogger} logger - Invocation logger
+ * @param {string} handlerName - scheduled, queue, email or tail
+ * @param {string} outcome - 'ok' or 'exception'
+ * @param {number} durationMs - Time spent in the handler
+ */
+function logCompletion(logger, handlerName, outcome, durationMs) {
+	const level = outcome === 'ok' ? GELFLogger.LEVELS.INFO : GELFLogger.LEVELS.ERROR;
+
+	logger._log(level, `${handlerName} handler ${outcome === 'ok' ? 'completed' : 'failed'} in ${durationMs}ms`, null, {
+		access_log: true,
+		outcome,
+		duration_ms: durationMs
+	});
+}
+
+/**
+ * Emit the access-log message for a request
+ * Level follows the status: 5xx is ERROR, 4xx is WARNING, everything else INFO.
+ * The response size comes from Content-Length. Without one, it is left out, unless measureSize is set:
+ * then the body is counted as it is sent and the message is emitted once it ends, so the response is
+ * returned wrapped (and streamed with an unknown length).
+ *
+ * @private
+ * @param {GELFLogger} logger - Request logger
+ * @param {Request} request - Incoming request
+ * @param {Response} response - Outgoing response
+ * @param {number} durationMs - Time spent in the handler
+ * @param {boolean} measureSize - Count bodies without a Content-Length
+ * @returns {Object} { response, logged }: the response to return, and a promise resolved once the message is emitted
+ */
+function logAccess(logger, request, response, durationMs, measureSize) {
+	const status = response?.status ?? 0;
+	const contentLength = response?.headers?.get('content-length');
+	let path = logger.cfContext.request_path;
+	if (!path) {
+		try {
+			path = new URL(request.url).pathname;
+		} catch (e) {
+			path = '';
+		}
+	}
+
+	const level = status >= 500
+		? GELFLogger.LEVELS.ERROR
+		: status >= 400
+			? GELFLogger.LEVELS.WARNING
+			: GELFLogger.LEVELS.INFO;
+
+	// Method, path and colo are already present as _request_method, _request_path and _colo
+	const fields = {
+		access_log: true,
+		http_status: status,
+		duration_ms: durationMs
+	};
+	const emit = () => logger._log(level, `${request.method} ${path} ${status} ${durationMs}ms`, null, fields);
+
+	if (contentLength) {
+		fields.response_size = Number(contentLength);
+	} else if (measureSize && response?.body) {
+		let bytes = 0;
+		const { readable, writable } = new TransformStream({
+			transform(chunk, controller) {
+				bytes += chunk.byteLength;
+				controller.enqueue(chunk);
+			}
+		});
+		// Settles when the body has been sent, or with the bytes sent so far if the client went away
+		const logged = response.body.pipeTo(writable).catch(() => {}).then(() => {
+			fields.response_size = bytes;
+			emit();
+		});
+		return { response: new Response(readable, response), logged };
+	}
+
+	emit();
+	return { response, logged: Promise.resolve() };
+}
@@ -0,0 +1,113 @@
+import { GELFLogger } from './gelf-logger.js';
+
+/**
+ * Cloudflare Queues consumer
+ *
+ * Drains GELF messages enqueued by loggers configured with `queue` and delivers them to the
+ * GELF HTTP endpoint, so logs survive endpoint outages and workers evicted before flush().
+ */
+
+// Longest delay Queues accepts for message.retry()
+const MAX_RETRY_DELAY_SECONDS = 12 * 60 * 60;
+
+/**
+ * Create a Queue consumer handler that delivers enqueued GELF messages
+ *
+ * Each message is sent to the endpoint in its own request, with in-request HTTP retries; with `batch`,
+ * the whole queue batch goes in one request (NDJSON, or the configured `format`) and shares its result.
+ * Delivered messages are acked. Failed ones are retried with exponential backoff; after
+ * maxAttempts they are moved to the dead-letter queue if one is bound, otherwise they keep
+ * being retried so the queue's own max_retries / dead_letter_queue settings apply.
+ *
+ * @example
+ * export default {
+ *   queue: createGELFQueueConsumer({ maxAttempts: 5 })
+ * };
+ *
+ * @param {Object} options - GELFLogger config used for delivery (env is filled in; retry is enabled by default)
+ * @param {boolean} options.batch - Send each queue batch in one request instead of one request per message (default: false)
+ * @param {number} options.maxAttempts - Deliveries before a message is dead-lettered (default: 5)
+ * @param {number} options.retryDelay - Delay before the first redelivery in seconds, doubled per attempt (default: 30)
+ * @param {Queue} options.deadLetterQueue - Producer binding for undeliverable messages (default: env.GELF_DEAD_LETTER_QUEUE)
+ * @returns {Function} Queue handler: (batch, env, ctx) => Promise<void>
+ */
+export function createGELFQueueConsumer(options = {}) {
+	const { maxAttempts = 5, retryDelay = 30, deadLetterQueue, batch: batchDelivery = false, ...loggerConfig } = options;
+
+	return async (batch, env, ctx) => {
+		const logger = new GELFLogger({
+			consoleLog: false,
+			retry: true,
+			...loggerConfig,
+			env,
+			// Delivery goes straight to the endpoint, never back to a queue
+			queue: false,
+			batch: false
+		});
+		const deadLetter = deadLetterQueue || env?.GELF_DEAD_LETTER_QUEUE || null;
+
+		const deliverable = [];
+		for (const message of batch.messages || []) {
+			if (isGELFMessage(message.body)) {
+				deliverable.push(message);
+			} else if (deadLetter) {
+				// Malformed bodies can never be delivered; park them without retrying
+				await deadLetterMessage(deadLetter, message);
+			} else {
+				message.ack();
+			}
+		}
+
+		if (deliverable.length === 0) {
+			return;
+		}
+
+		// Without batch, every message is acked or retried on its own delivery result
+		const groups = batchDelivery ? [deliverable] : deliverable.map(message => [message]);
+		const results = await Promise.all(groups.map(group => {
+			const messages = group.map(message => message.body);
+			const { body, contentType } = logger._encodePayload(messages);
+			return logger._postHTTP(messages, body, contentType);
+		}));
+
+		for (const [index, group] of groups.entries()) {
+			for (const message of group) {
+				if (results[index]) {
+					message.ack();
+				} else if (deadLetter && message.attempts >= maxAttempts) {
+					await deadLetterMessage(deadLetter, message);
+				} else {
+					const delaySeconds = Math.min(retryDelay * Math.pow(2, message.attempts - 1), MAX_RETRY_DELAY_SECONDS);
+					message.retry({ delaySeconds });
+				}
+			}
+		}
+	};
+}
+
+/**
+ * Check that a queue message body looks like a GELF message
+ *
+ * @private
+ * @param {*} body - Queue message body
+ * @returns {boolean} True if the body can be sent to the endpoint
+ */
+function isGELFMessage(body) {
+	return body !== null && typeof body === 'object' && !Array.isArray(body) && typeof body.short_message === 'string';
+}
+
+/**
+ * Move a message to the dead-letter queue, retrying it instead if that fails
+ *
+ * @private
+ * @param {Queue} deadLetter - Dead-letter producer binding
+ * @param {Message} message - Queue message
+ */
+async function deadLetterMessage(deadLetter, message) {
+	try {
+		await deadLetter.send(message.body);
+		message.ack();
+	} catch (error) {
+		message.retry();
+	}
+}
@@ -0,0 +1,181 @@
+import { GELFLogger } from './gelf-logger.js';
+
+/**
+ * Tail Worker consumer
+ *
+ * Converts the TraceItems a Tail Worker receives from its producer workers into GELF messages,
+ * so workers that don't embed GELFLogger still end up in Graylog.
+ */
+
+// console method (TraceLog level) to GELF level name
+// (names rather than numbers: this module is evaluated before GELFLogger through the re-export)
+const LOG_LEVELS = {
+	error: 'ERROR',
+	warn: 'WARNING',
+	info: 'INFO',
+	log: 'INFO',
+	debug: 'DEBUG',
+	trace: 'DEBUG'
+};
+
+/**
+ * Create a Tail Worker handler that forwards TraceItems to GELF
+ *
+ * Every TraceItem produces one message per console log, one per exception, and one summary
+ * message with the outcome and CPU/wall time. Messages from the same invocation share a
+ * `_log_session_id` and carry the producer's script name as `host`.
+ *
+ * @example
+ * export default {
+ *   tail: createGELFTailHandler({ minLevel: GELFLogger.LEVELS.DEBUG })
+ * };
+ *
+ * @param {Object} options - GELFLogger config used for forwarding (batching is enabled by default)
+ * @returns {Function} Tail handler: (events, env, ctx) => Promise<void>
+ */
+export function createGELFTailHandler(options = {}) {
+	return async (events, env, ctx) => {
+		const logger = new GELFLogger({
+			consoleLog: false,
+			...options,
+			batch: options.batch !== undefined ? options.batch : true,
+			env
+		});
+		// The Tail Worker's own ENVIRONMENT / FUNCTION_NAME would be stamped on every producer's messages
+		logger.cfContext = {};
+
+		for (const item of events || []) {
+			try {
+				forwardTraceItem(logger, item);
+			} catch (error) {
+				// A malformed TraceItem must not stop the rest of the batch
+				logger.stats.failed++;
+			}
+		}
+
+		await logger.flush();
+	};
+}
+
+/**
+ * Convert one TraceItem into GELF messages and send them
+ *
+ * @private
+ * @param {GELFLogger} logger - Forwarding logger
+ * @param {TraceItem} item - Trace item from the producer worker
+ */
+function forwardTraceItem(logger, item) {
+	const sessionId = crypto.randomUUID();
+	const fields = traceItemFields(item);
+
+	const emit = (level, shortMessage, fullMessage, customFields, timestamp) => {
+		if (level > logger.getLevel()) {
+			logger.stats.skipped++;
+			return;
+		}
+
+		const message = logger._buildGELFMessage(level, shortMessage, fullMessage, { ...fields, ...customFields });
+		message.host = item.scriptName || message.host;
+		message._log_session_id = sessionId;
+		if (timestamp) {
+			message.timestamp = timestamp / 1000;
+		}
+		logger._send(message);
+	};
+
+	// Console logs
+	for (const log of item.logs || []) {
+		const args = Array.isArray(log.message) ? log.message : [log.message];
+		const [first, ...rest] = args;
+		const shortMessage = typeof first === 'string' ? first : logger._serialize(first);
+		const fullMessage = rest.length > 0
+			? rest.map(arg => (typeof arg === 'string' ? arg : logger._serialize(arg))).join(' ')
+			: null;
+
+		const level = GELFLogger.LEVELS[LOG_LEVELS[log.level] || 'INFO'];
+
+		emit(level, shortMessage, fullMessage, { tail_source: 'log', console_level: log.level }, log.timestamp);
+	}
+
+	// Uncaught exceptions
+	for (const exception of item.exceptions || []) {
+		emit(GELFLogger.LEVELS.ERROR, exception.message, exception.stack || null, {
+			tail_source: 'exception',
+			exception_type: exception.name,
+			exception_message: exception.message,
+			exception_stack: exception.stack
+		}, exception.timestamp);
+	}
+
+	// Invocation summary
+	const outcome = item.outcome || 'unknown';
+	const request = item.event?.request;
+	const status = item.event?.response?.status;
+	const summary = request
+		? `${request.method} ${fields.request_path || request.url} ${status ?? outcome}`
+		: `${fields.trigger} ${outcome}`;
+
+	emit(outcome === 'ok' ? GELFLogger.LEVELS.INFO : GELFLogger.LEVELS.ERROR, summary, null, {
+		tail_source: 'outcome',
+		cpu_time_ms: item.cpuTime,
+		wall_time_ms: item.wallTime,
+		log_count: item.logs?.length || 0,
+		exception_count: item.exceptions?.length || 0,
+		truncated: item.truncated || undefined
+	}, item.eventTimestamp);
+}
+
+/**
+ * Extract the fields shared by every message of a TraceItem
+ *
+ * @private
+ * @param {TraceItem} item - Trace item from the producer worker
+ * @returns {Object} Custom fields
+ */
+function traceItemFields(item) {
+	const event = item.event || {};
+	const fields = {
+		script_name: item.scriptName,
+		outcome: item.outcome,
+		trigger: event.request ? 'fetch'
+			: event.cron !== undefined ? 'scheduled'
+				: event.queue !== undefined ? 'queue'
+					: event.mailFrom !== undefined ? 'email'
+						: event.consumedEvents !== undefined ? 'tail'
+							: 'unknown'
+	};
+
+	if (item.scriptVersion?.id) fields.script_version = item.scriptVersion.id;
+	if (item.dispatchNamespace) fields.dispatch_namespace = item.dispatchNamespace;
+	if (item.entrypoint) fields.entrypoint = item.entrypoint;
+
+	if (event.request) {
+		fields.request_method = event.request.method;
+		try {
+			const url = new URL(event.request.url);
+			fields.request_path = url.pathname;
+			fields.request_host = url.hostname;
+		} catch (e) {
+			// Ignore URL parsing errors
+		}
+		if (event.request.cf?.colo) fields.colo = event.request.cf.colo;
+		if (event.request.cf?.country) fields.country = event.request.cf.country;
+	}
+	if (event.response?.status !== undefined) fields.http_status = event.response.status;
+	if (event.cron !== undefined) fields.cron = event.cron;
+	if (event.queue !== undefined) {
+		fields.queue_name = event.queue;
+		fields.queue_batch_size = event.batchSize;
+	}
+	if (event.mailFrom !== undefined) {
+		fields.email_from = event.mailFrom;
+		fields.email_to = event.rcptTo;
+		fields.email_size = event.rawSize;
+	}
+
+	// Drop fields the TraceItem didn't provide
+	for (const key of Object.keys(fields)) {
+		if (fields[key] === undefined) delete fields[key];
+	}
+	return fields;
+}
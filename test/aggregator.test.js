@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger, GELFAggregator } from '../src/gelf-logger.js';
+
+describe('GELFAggregator', () => {
+	let mockEnv;
+	let fetchSpy;
+
+	const ingest = (aggregator, body, contentType = 'application/json') =>
+		aggregator.fetch(new Request('https://gelf-aggregator/ingest', { method: 'POST', body, headers: { 'Content-Type': contentType } }));
+
+	// Durable Object namespace whose stubs forward to a single aggregator instance
+	const namespaceFor = aggregator => {
+		const stub = { fetch: vi.fn((url, init) => aggregator.fetch(new Request(url, init))) };
+		return { stub, idFromName: vi.fn(name => `id:${name}`), get: vi.fn(() => stub) };
+	};
+
+	beforeEach(() => {
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://test-graylog.com/gelf',
+		};
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: true, status: 200, statusText: 'OK' }));
+		global.fetch = fetchSpy;
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	describe('logger transport', () => {
+		it('should send messages to the aggregator binding instead of the endpoint', async () => {
+			const aggregator = new GELFAggregator({}, mockEnv);
+			const namespace = namespaceFor(aggregator);
+			const logger = new GELFLogger({ env: { ...mockEnv, GELF_AGGREGATOR: namespace }, aggregator: true, consoleLog: false });
+
+			logger.info('Via aggregator');
+			await logger.flush();
+
+			expect(namespace.idFromName).toHaveBeenCalledWith('default');
+			expect(namespace.stub.fetch.mock.calls[0][0]).toBe('https://gelf-aggregator/ingest');
+			expect(logger.getStats().sent).toBe(1);
+			expect(aggregator.getStats().received).toBe(1);
+			// Nothing reaches the endpoint until the aggregator's batch is sent
+			expect(fetchSpy).not.toHaveBeenCalled();
+		});
+
+		it('should accept the namespace directly and a custom instance name', async () => {
+			const namespace = namespaceFor(new GELFAggregator({}, mockEnv));
+			const logger = new GELFLogger({ env: mockEnv, aggregator: { binding: namespace, name: 'eu' }, consoleLog: false });
+
+			logger.info('Named');
+			await logger.flush();
+
+			expect(namespace.idFromName).toHaveBeenCalledWith('eu');
+			expect(logger.child({ a: 1 }).aggregator).toEqual(logger.aggregator);
+		});
+
+		it('should record failures against the aggregator', async () => {
+			const namespace = { idFromName: () => 'id', get: () => ({ fetch: () => Promise.reject(new Error('DO unavailable')) }) };
+			const logger = new GELFLogger({ env: mockEnv, aggregator: namespace, consoleLog: false });
+
+			logger.info('Lost');
+			await logger.flush();
+
+			const [failure] = logger.getFailedMessages();
+			expect(failure.reason).toBe('network_error');
+			expect(failure.endpoint).toBe('aggregator:default');
+		});
+
+		it('should send GELF to the aggregator and format only its upstream requests', async () => {
+			vi.spyOn(console, 'error').mockImplementation(() => {});
+			const aggregator = new GELFAggregator({}, mockEnv, { format: 'loki' });
+			const namespace = namespaceFor(aggregator);
+			const logger = new GELFLogger({ env: { ...mockEnv, GELF_AGGREGATOR: namespace }, aggregator: true, format: 'loki', consoleLog: false });
+
+			logger.info('Formatted upstream');
+			await logger.flush();
+			await aggregator.logger.flush();
+
+			expect(console.error).toHaveBeenCalledWith(expect.stringContaining('format is ignored with aggregator'));
+			expect(JSON.parse(namespace.stub.fetch.mock.calls[0][1].body).short_message).toBe('Formatted upstream');
+			expect(aggregator.getStats()).toMatchObject({ received: 1, rejected: 0 });
+			const { streams } = JSON.parse(fetchSpy.mock.calls[0][1].body);
+			expect(JSON.parse(streams[0].values[0][1]).message).toBe('Formatted upstream');
+		});
+
+		it('should fall back to the endpoint when the binding is missing', () => {
+			vi.spyOn(console, 'error').mockImplementation(() => {});
+			const logger = new GELFLogger({ env: mockEnv, aggregator: true, consoleLog: false });
+
+			expect(logger.aggregator).toBeNull();
+			expect(console.error).toHaveBeenCalledWith(expect.stringContaining('GELF_AGGREGATOR'));
+		});
+	});
+
+	describe('durable object', () => {
+		it('should batch messages from many requests into one upstream send', async () => {
+			const aggregator = new GELFAggregator({}, mockEnv);
+
+			await ingest(aggregator, JSON.stringify({ version: '1.1', host: 'a', short_message: 'One' }));
+			await ingest(
+				aggregator,
+				['Two', 'Three'].map(short_message => JSON.stringify({ version: '1.1', host: 'b', short_message })).join('\n'),
+				'application/x-ndjson'
+			);
+			await aggregator.logger.flush();
+
+			expect(fetchSpy).toHaveBeenCalledTimes(1);
+			const lines = fetchSpy.mock.calls[0][1].body.split('\n').map(line => JSON.parse(line));
+			expect(lines.map(line => line.short_message)).toEqual(['One', 'Two', 'Three']);
+			expect(lines[1].host).toBe('b');
+		});
+
+		it('should reject invalid payloads and messages', async () => {
+			const aggregator = new GELFAggregator({}, mockEnv);
+
+			const invalid = await ingest(aggregator, 'not json');
+			const partial = await ingest(aggregator, JSON.stringify([{ short_message: 'Valid' }, { level: 6 }]));
+
+			expect(invalid.status).toBe(400);
+			expect(partial.status).toBe(202);
+			expect(aggregator.getStats()).toMatchObject({ requests: 2, received: 1, rejected: 2 });
+		});
+
+		it('should accept compressed payloads', async () => {
+			const aggregator = new GELFAggregator({}, mockEnv);
+			const body = JSON.stringify({ short_message: 'Compressed' });
+			const compressed = await new Response(new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+
+			const response = await aggregator.fetch(
+				new Request('https://gelf-aggregator/ingest', { method: 'POST', body: compressed, headers: { 'Content-Encoding': 'gzip' } })
+			);
+
+			expect(response.status).toBe(202);
+			expect(aggregator.getStats().received).toBe(1);
+		});
+
+		it('should buffer while the WebSocket connects and drop the oldest beyond maxBuffer', async () => {
+			// Upgrade never completes, so messages stay buffered
+			global.fetch = vi.fn(() => new Promise(() => {}));
+			const aggregator = new GELFAggregator({}, { GELF_WS_URL: 'wss://relay.example.com/gelf' }, { maxBuffer: 2 });
+
+			await ingest(aggregator, JSON.stringify(['One', 'Two', 'Three'].map(short_message => ({ short_message }))));
+
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+			expect(aggregator.logger.wsMessageQueue.map(message => message.short_message)).toEqual(['Two', 'Three']);
+			expect(aggregator.getStats()).toMatchObject({ received: 3, dropped: 1 });
+			expect(aggregator.getStats().upstream.ws.connecting).toBe(true);
+		});
+
+		it('should serve stats', async () => {
+			const aggregator = new GELFAggregator({}, mockEnv);
+
+			const response = await aggregator.fetch(new Request('https://gelf-aggregator/stats'));
+			const stats = await response.json();
+
+			expect(stats.received).toBe(0);
+			expect(stats.upstream.batch).toBeDefined();
+			expect((await aggregator.fetch(new Request('https://gelf-aggregator/other'))).status).toBe(404);
+		});
+	});
+});
@@ -0,0 +1,267 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger } from '../src/gelf-logger.js';
+
+// In-memory KV namespace (list() returns keys in lexicographic order like KV does)
+function mockKV() {
+	const data = new Map();
+	return {
+		data,
+		put: vi.fn((key, value, options) => {
+			data.set(key, { value, options });
+			return Promise.resolve();
+		}),
+		get: vi.fn((key, type) => Promise.resolve(data.has(key) ? JSON.parse(data.get(key).value) : null)),
+		getWithMetadata: vi.fn(),
+		list: vi.fn(({ prefix, limit }) => {
+			const keys = [...data.keys()].filter(key => key.startsWith(prefix)).sort().slice(0, limit);
+			return Promise.resolve({ keys: keys.map(name => ({ name })) });
+		}),
+		delete: vi.fn(key => {
+			data.delete(key);
+			return Promise.resolve();
+		}),
+	};
+}
+
+// In-memory R2 bucket
+function mockR2() {
+	const data = new Map();
+	return {
+		data,
+		head: vi.fn(),
+		put: vi.fn((key, value) => {
+			data.set(key, value);
+			return Promise.resolve({ key });
+		}),
+		get: vi.fn(key => Promise.resolve(data.has(key) ? { json: () => Promise.resolve(JSON.parse(data.get(key))) } : null)),
+		list: vi.fn(({ prefix, limit }) => {
+			const keys = [...data.keys()].filter(key => key.startsWith(prefix)).sort().slice(0, limit);
+			return Promise.resolve({ objects: keys.map(key => ({ key })) });
+		}),
+		delete: vi.fn(key => {
+			data.delete(key);
+			return Promise.resolve();
+		}),
+	};
+}
+
+// D1 database that understands the four statements the store uses
+function mockD1() {
+	const rows = [];
+	const statements = [];
+	const execute = (sql, params) => {
+		statements.push(sql);
+		if (sql.startsWith('INSERT')) {
+			rows.push({ id: params[0], created_at: params[1], record: params[2] });
+		} else if (sql.startsWith('DELETE')) {
+			rows.splice(rows.findIndex(row => row.id === params[0]), 1);
+		}
+		return sql.startsWith('SELECT') ? { results: rows.slice(0, params[0]) } : { success: true };
+	};
+	return {
+		rows,
+		statements,
+		prepare: sql => {
+			const statement = {
+				params: [],
+				bind: (...params) => ({ ...statement, params }),
+				run() {
+					return Promise.resolve(execute(sql, this.params));
+				},
+				all() {
+					return Promise.resolve(execute(sql, this.params));
+				},
+			};
+			return statement;
+		},
+	};
+}
+
+describe('Dead-letter store', () => {
+	let mockEnv;
+	let fetchSpy;
+
+	beforeEach(() => {
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://test-graylog.com/gelf',
+			GELF_DEAD_LETTER_STORE: mockKV(),
+		};
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: false, status: 503, statusText: 'Service Unavailable' }));
+		global.fetch = fetchSpy;
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('should persist failed messages with their failure reason to KV', async () => {
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		const logger = new GELFLogger({ env: mockEnv, deadLetter: { ttl: 86400 }, consoleLog: false });
+
+		logger.error('Lost');
+		await logger.flush();
+
+		expect(kv.put).toHaveBeenCalledTimes(1);
+		const [key, value, options] = kv.put.mock.calls[0];
+		expect(key).toMatch(/^gelf-dead-letter\/\d{13}-/);
+		expect(options).toEqual({ expirationTtl: 86400 });
+		const record = JSON.parse(value);
+		expect(record.messages.map(message => message.short_message)).toEqual(['Lost']);
+		expect(record.reason).toBe('http_error');
+		expect(record.error).toBe('HTTP 503 Service Unavailable');
+		expect(logger.getStats().deadLetter).toEqual({ store: 'kv', stored: 1, storeErrors: 0, replayed: 0, replayFailed: 0 });
+	});
+
+	it('should replay stored messages and remove the ones delivered', async () => {
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		const logger = new GELFLogger({ env: mockEnv, deadLetter: true, consoleLog: false });
+		logger.error('First');
+		logger.error('Second');
+		await logger.flush();
+		expect(kv.data.size).toBe(2);
+
+		// Endpoint is back, except for one message
+		fetchSpy.mockImplementation((url, init) => Promise.resolve(
+			init.body.includes('Second') ? { ok: false, status: 400, statusText: 'Bad Request' } : { ok: true, status: 202, statusText: 'Accepted' }
+		));
+		const replayer = new GELFLogger({ env: mockEnv, deadLetter: true, consoleLog: false });
+
+		const result = await replayer.replayFailed({ limit: 10 });
+
+		expect(result).toEqual({ replayed: 1, failed: 1 });
+		expect(kv.data.size).toBe(1);
+		expect(JSON.parse([...kv.data.values()][0].value).messages[0].short_message).toBe('Second');
+		// A failed replay keeps the original record instead of storing a new one
+		expect(kv.put).toHaveBeenCalledTimes(2);
+		expect(replayer.getStats().deadLetter).toMatchObject({ replayed: 1, replayFailed: 1 });
+	});
+
+	it('should store a failed batch as one record and replay it in one request', async () => {
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		const logger = new GELFLogger({ env: mockEnv, batch: true, deadLetter: true, consoleLog: false });
+		logger.error('One');
+		logger.error('Two');
+		logger.error('Three');
+		await logger.flush();
+
+		expect(kv.put).toHaveBeenCalledTimes(1);
+		expect(JSON.parse(kv.put.mock.calls[0][1]).messages).toHaveLength(3);
+		expect(logger.getStats().deadLetter.stored).toBe(3);
+		expect(logger.getFailedMessages()).toHaveLength(3);
+
+		fetchSpy.mockResolvedValue({ ok: true, status: 202, statusText: 'Accepted' });
+		expect(await logger.replayFailed()).toEqual({ replayed: 3, failed: 0 });
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+		expect(fetchSpy.mock.calls[1][1].body.split('\n')).toHaveLength(3);
+		expect(kv.data.size).toBe(0);
+	});
+
+	it('should not replay without an HTTP endpoint', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		await kv.put('gelf-dead-letter/0000000000001-a', JSON.stringify({ messages: [{ short_message: 'Parked' }], reason: 'ws_send_error' }));
+		const logger = new GELFLogger({
+			env: { GELF_DEAD_LETTER_STORE: kv },
+			useWebSocket: true,
+			wsEndpoint: 'wss://relay.example.com/gelf',
+			deadLetter: true,
+			consoleLog: false,
+		});
+
+		expect(await logger.replayFailed()).toEqual({ replayed: 0, failed: 0 });
+		expect(fetchSpy).not.toHaveBeenCalled();
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('replayFailed() needs an HTTP endpoint'));
+		expect(kv.data.size).toBe(1);
+	});
+
+	it('should replay at most limit records', async () => {
+		const logger = new GELFLogger({ env: mockEnv, deadLetter: true, consoleLog: false });
+		for (let i = 0; i < 5; i++) {
+			logger.error(`Message ${i}`);
+		}
+		await logger.flush();
+		fetchSpy.mockResolvedValue({ ok: true, status: 202, statusText: 'Accepted' });
+
+		expect(await logger.replayFailed({ limit: 3 })).toEqual({ replayed: 3, failed: 0 });
+		expect(mockEnv.GELF_DEAD_LETTER_STORE.data.size).toBe(2);
+	});
+
+	it('should store and replay with an R2 bucket', async () => {
+		const bucket = mockR2();
+		const logger = new GELFLogger({ env: mockEnv, deadLetter: { binding: bucket, prefix: 'dlq/' }, consoleLog: false });
+
+		logger.warning('Parked');
+		await logger.flush();
+
+		expect([...bucket.data.keys()][0]).toMatch(/^dlq\//);
+		expect(logger.getStats().deadLetter.store).toBe('r2');
+
+		fetchSpy.mockResolvedValue({ ok: true, status: 202, statusText: 'Accepted' });
+		expect(await logger.replayFailed()).toEqual({ replayed: 1, failed: 0 });
+		expect(JSON.parse(fetchSpy.mock.calls[1][1].body).short_message).toBe('Parked');
+		expect(bucket.data.size).toBe(0);
+	});
+
+	it('should store and replay with a D1 database', async () => {
+		const database = mockD1();
+		const logger = new GELFLogger({ env: { ...mockEnv, GELF_DEAD_LETTER_STORE: database }, deadLetter: true, consoleLog: false });
+
+		logger.critical('Row');
+		await logger.flush();
+
+		expect(database.statements[0]).toContain('CREATE TABLE IF NOT EXISTS gelf_dead_letters');
+		expect(database.rows).toHaveLength(1);
+		expect(JSON.parse(database.rows[0].record).messages[0].short_message).toBe('Row');
+
+		fetchSpy.mockResolvedValue({ ok: true, status: 202, statusText: 'Accepted' });
+		expect(await logger.replayFailed()).toEqual({ replayed: 1, failed: 0 });
+		expect(database.rows).toHaveLength(0);
+	});
+
+	it('should not persist WebSocket messages that are re-queued for retry', async () => {
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		const webSocket = {
+			readyState: 1,
+			accept: vi.fn(),
+			addEventListener: vi.fn(),
+			send: vi.fn()
+				.mockImplementationOnce(() => {
+					throw new Error('Socket busy');
+				}),
+		};
+		global.fetch = vi.fn(() => Promise.resolve({ webSocket }));
+		const logger = new GELFLogger({ env: mockEnv, useWebSocket: true, wsEndpoint: 'wss://relay.example.com/gelf', deadLetter: true, consoleLog: false });
+
+		logger.error('Retried');
+		await logger.flush();
+		logger._processWebSocketQueue();
+		await logger.flush();
+
+		expect(webSocket.send.mock.calls.map(call => JSON.parse(call[0]).short_message)).toEqual(['Retried', 'Retried']);
+		expect(logger.getFailedMessages()[0].reason).toBe('ws_send_error');
+		expect(kv.put).not.toHaveBeenCalled();
+		expect(await logger.replayFailed()).toEqual({ replayed: 0, failed: 0 });
+	});
+
+	it('should count store errors without throwing', async () => {
+		const kv = mockEnv.GELF_DEAD_LETTER_STORE;
+		kv.put.mockRejectedValue(new Error('KV write limit exceeded'));
+		const logger = new GELFLogger({ env: mockEnv, deadLetter: true, consoleLog: false });
+
+		logger.error('Lost');
+		await logger.flush();
+
+		expect(logger.getStats().deadLetter.storeErrors).toBe(1);
+		expect(logger.getFailedMessages()).toHaveLength(1);
+	});
+
+	it('should be disabled without a storage binding', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const logger = new GELFLogger({ env: { GELF_LOGGING_URL: 'http://test-graylog.com/gelf' }, deadLetter: true, consoleLog: false });
+
+		expect(logger.deadLetter).toBeNull();
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('GELF_DEAD_LETTER_STORE'));
+		expect(await logger.replayFailed()).toEqual({ replayed: 0, failed: 0 });
+	});
+});
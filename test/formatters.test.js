@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger, createSyslogFormatter } from '../src/gelf-logger.js';
+
+describe('Output Formats', () => {
+	let mockEnv;
+	let fetchSpy;
+
+	const sentBody = (index = 0) => fetchSpy.mock.calls[index][1].body;
+
+	beforeEach(() => {
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://collector.example.com/logs',
+			WORKER_NAME: 'test-worker',
+			ENVIRONMENT: 'production',
+		};
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: true, status: 200, statusText: 'OK' }));
+		global.fetch = fetchSpy;
+		vi.spyOn(Date, 'now').mockReturnValue(Date.UTC(2025, 0, 1, 12, 0, 0, 250));
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('should produce Elastic Common Schema documents', async () => {
+		const logger = new GELFLogger({ env: mockEnv, format: 'ecs', facility: 'api', consoleLog: false });
+
+		logger.error('Lookup failed', 'stack here', { request_method: 'GET', exception_type: 'TypeError', order_id: 42 });
+		await logger.flush();
+
+		const document = JSON.parse(sentBody());
+		expect(document['@timestamp']).toBe('2025-01-01T12:00:00.250Z');
+		expect(document.message).toBe('Lookup failed');
+		expect(document.log.level).toBe('error');
+		expect(document.host.name).toBe('test-worker');
+		expect(document.service).toEqual({ name: 'api', environment: 'production' });
+		expect(document.http.request.method).toBe('GET');
+		expect(document.error.type).toBe('TypeError');
+		expect(document.event.original).toBe('stack here');
+		expect(document.labels.order_id).toBe(42);
+	});
+
+	it('should produce OTLP/HTTP JSON log records grouped by resource', async () => {
+		const request = {
+			url: 'https://example.com/',
+			headers: new Headers({ traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' }),
+		};
+		const logger = new GELFLogger({ env: mockEnv, request, format: 'otlp', batch: true, consoleLog: false });
+
+		logger.warning('Slow query', null, { duration_ms: 1.5 });
+		logger.info('Done');
+		await logger.flush();
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		const { resourceLogs } = JSON.parse(sentBody());
+		expect(resourceLogs).toHaveLength(1);
+		expect(resourceLogs[0].resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'worker' } });
+
+		const [warning, info] = resourceLogs[0].scopeLogs[0].logRecords;
+		expect(warning.timeUnixNano).toBe('1735732800250000000');
+		expect(warning.severityNumber).toBe(13);
+		expect(warning.severityText).toBe('WARNING');
+		expect(warning.body).toEqual({ stringValue: 'Slow query' });
+		expect(warning.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+		expect(warning.attributes).toContainEqual({ key: 'duration_ms', value: { doubleValue: 1.5 } });
+		expect(warning.attributes).toContainEqual({ key: 'url.path', value: { stringValue: '/' } });
+		expect(info.severityNumber).toBe(9);
+	});
+
+	it('should produce Loki push payloads with one stream per level', async () => {
+		const logger = new GELFLogger({ env: mockEnv, format: 'loki', batch: true, consoleLog: false });
+
+		logger.info('One');
+		logger.error('Two', null, { user_id: 7 });
+		logger.info('Three');
+		await logger.flush();
+
+		const { streams } = JSON.parse(sentBody());
+		expect(streams.map(stream => stream.stream.level)).toEqual(['info', 'error']);
+		expect(streams[0].stream).toEqual({ host: 'test-worker', service_name: 'worker', level: 'info' });
+		expect(streams[0].values).toHaveLength(2);
+		const [timestamp, line] = streams[1].values[0];
+		expect(timestamp).toBe('1735732800250000000');
+		expect(JSON.parse(line)).toMatchObject({ message: 'Two', user_id: 7, environment: 'production' });
+	});
+
+	it('should produce Splunk HEC events', async () => {
+		const logger = new GELFLogger({
+			env: mockEnv,
+			format: 'splunk',
+			headers: { Authorization: 'Splunk hec-token' },
+			consoleLog: false,
+		});
+
+		logger.notice('Config reloaded');
+		await logger.flush();
+
+		const event = JSON.parse(sentBody());
+		expect(fetchSpy.mock.calls[0][1].headers.Authorization).toBe('Splunk hec-token');
+		expect(event).toMatchObject({ time: 1735732800.25, host: 'test-worker', source: 'worker', sourcetype: '_json' });
+		expect(event.event).toMatchObject({ message: 'Config reloaded', severity: 'notice', environment: 'production' });
+	});
+
+	it('should produce Datadog intake arrays', async () => {
+		const logger = new GELFLogger({
+			env: mockEnv,
+			format: 'datadog',
+			headers: { 'DD-API-KEY': 'dd-key' },
+			consoleLog: false,
+		});
+
+		logger.warning('Retrying', null, { http_status: 503 });
+		await logger.flush();
+
+		const [record] = JSON.parse(sentBody());
+		expect(fetchSpy.mock.calls[0][1].headers['DD-API-KEY']).toBe('dd-key');
+		expect(record).toMatchObject({
+			ddsource: 'cloudflare-workers',
+			ddtags: 'env:production',
+			hostname: 'test-worker',
+			service: 'worker',
+			status: 'warn',
+			message: 'Retrying',
+			timestamp: 1735732800250,
+		});
+		expect(record.http.status_code).toBe(503);
+	});
+
+	it('should move custom fields named after reserved keys under labels', async () => {
+		const fields = {
+			message: 'hi',
+			severity: 'low',
+			status: 'pending',
+			service: 'billing',
+			hostname: 'spoofed',
+			ddsource: 'custom',
+			ddtags: 'team:x',
+			labels: 'l',
+			'service.version': '2',
+		};
+		const formatted = format => {
+			const logger = new GELFLogger({ env: mockEnv, format, consoleLog: false });
+			return logger._encodePayload([logger._buildGELFMessage(GELFLogger.LEVELS.ERROR, 'boom', null, fields)]).body;
+		};
+
+		const [record] = JSON.parse(formatted('datadog'));
+		expect(record).toMatchObject({ message: 'boom', status: 'error', service: 'worker', hostname: 'test-worker', ddsource: 'cloudflare-workers' });
+		expect(record.ddtags).toBe('env:production');
+		expect(record.timestamp).toBe(1735732800250);
+		expect(record.labels).toMatchObject({ message: 'hi', status: 'pending', service: { version: '2' }, hostname: 'spoofed', labels: 'l' });
+
+		const { event } = JSON.parse(formatted('splunk'));
+		expect(event).toMatchObject({ message: 'boom', severity: 'error' });
+		expect(event.labels).toMatchObject({ message: 'hi', severity: 'low', labels: 'l' });
+		expect(event.status).toBe('pending');
+
+		const { streams } = JSON.parse(formatted('loki'));
+		const line = JSON.parse(streams[0].values[0][1]);
+		expect(line.message).toBe('boom');
+		expect(line.labels).toMatchObject({ message: 'hi', labels: 'l' });
+	});
+
+	it('should not send Cloudflare Access headers to a third-party endpoint unless asked to', async () => {
+		const env = { ...mockEnv, ACCESS_ID: 'id', ACCESS_SECRET: 'sekrit' };
+		const datadog = new GELFLogger({ env, format: 'datadog', endpoint: 'https://http-intake.logs.datadoghq.com/api/v2/logs', consoleLog: false });
+		const proxied = new GELFLogger({ env, format: 'datadog', consoleLog: false });
+		const optedIn = new GELFLogger({ env, format: 'splunk', endpoint: 'https://splunk.example.com/services/collector', access: true, consoleLog: false });
+
+		for (const logger of [datadog, proxied, optedIn]) {
+			logger.info('Hello');
+			await logger.flush();
+		}
+
+		const [datadogHeaders, proxiedHeaders, optedInHeaders] = fetchSpy.mock.calls.map(call => call[1].headers);
+		expect(datadogHeaders['CF-Access-Client-Id']).toBeUndefined();
+		expect(datadogHeaders['CF-Access-Client-Secret']).toBeUndefined();
+		expect(proxiedHeaders['CF-Access-Client-Secret']).toBe('sekrit');
+		expect(optedInHeaders['CF-Access-Client-Secret']).toBe('sekrit');
+	});
+
+	it('should select formats per sink', async () => {
+		const logger = new GELFLogger({
+			env: mockEnv,
+			consoleLog: false,
+			sinks: [{ name: 'graylog', endpoint: mockEnv.GELF_LOGGING_URL }, { name: 'elastic', endpoint: 'http://elastic.example.com/_bulk', format: 'ecs' }],
+		});
+
+		logger.info('Both');
+		await logger.flush();
+
+		const gelf = JSON.parse(sentBody(0));
+		const ecs = JSON.parse(sentBody(1));
+		expect(gelf.short_message).toBe('Both');
+		expect(ecs.message).toBe('Both');
+		expect(ecs.log.level).toBe('info');
+	});
+
+	it('should accept a custom formatter', async () => {
+		const formatter = {
+			format: message => `${message.level} ${message.short_message}`,
+			encode: records => ({ body: records.join('\n'), contentType: 'text/plain' }),
+		};
+		const logger = new GELFLogger({ env: mockEnv, format: formatter, consoleLog: false });
+
+		logger.info('Plain text');
+		await logger.flush();
+
+		expect(sentBody()).toBe('6 Plain text');
+		expect(fetchSpy.mock.calls[0][1].headers['Content-Type']).toBe('text/plain');
+	});
+
+	it('should produce RFC 5424 syslog lines with structured data', async () => {
+		const logger = new GELFLogger({ env: mockEnv, format: 'syslog', facility: 'api', batch: true, minLevel: GELFLogger.LEVELS.DEBUG, consoleLog: false });
+
+		logger.error('Lookup failed', 'line one\nline two', { order_id: 42, note: 'say "hi" [x]' });
+		logger.debug('Details');
+		await logger.flush();
+
+		const [error, debug] = sentBody().split('\n');
+		expect(fetchSpy.mock.calls[0][1].headers['Content-Type']).toBe('text/plain; charset=utf-8');
+		expect(error).toMatch(/^<131>1 2025-01-01T12:00:00\.250Z test-worker api - - \[gelf@32473 /);
+		expect(error).toContain(`log_session_id="${logger.log_session_id}"`);
+		expect(error).toContain('order_id="42"');
+		expect(error).toContain('note="say \\"hi\\" [x\\]"');
+		expect(error).toContain('full_message="line one\\nline two"');
+		expect(error.endsWith('] Lookup failed')).toBe(true);
+		expect(debug).toMatch(/^<135>1 /);
+	});
+
+	it('should use the configured syslog facility and frame TCP messages by octet count', () => {
+		const formatter = createSyslogFormatter({ facility: 'daemon', sdName: 'worker', enterpriseId: 1 });
+
+		const line = formatter.format({ host: 'edge', facility: 'api', level: 4, short_message: 'Héllo', timestamp: 1735732800.25 });
+
+		expect(line).toBe('<28>1 2025-01-01T12:00:00.250Z edge api - - - Héllo');
+		expect(formatter.frame(line)).toBe(`${line.length + 1} ${line}`);
+		expect(formatter.format({ level: 6, short_message: 'x', _user_id: 7 })).toContain('[worker@1 user_id="7"]');
+	});
+
+	it('should fall back to GELF for unknown formats', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const logger = new GELFLogger({ env: mockEnv, format: 'xml', consoleLog: false });
+
+		logger.info('Still GELF');
+		await logger.flush();
+
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unknown format "xml"'));
+		expect(JSON.parse(sentBody()).short_message).toBe('Still GELF');
+	});
+});
@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger, withGELFLogger } from '../src/gelf-logger.js';
+import { sentMessages } from './helpers.js';
+
+describe('withGELFLogger', () => {
+	let mockEnv;
+	let mockRequest;
+	let mockCtx;
+	let fetchSpy;
+
+	beforeEach(() => {
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://test-graylog.com/gelf',
+			WORKER_NAME: 'test-worker',
+		};
+
+		mockRequest = {
+			url: 'https://example.com/api/users?id=1',
+			method: 'GET',
+			headers: new Headers({ 'cf-connecting-ip': '203.0.113.42' }),
+			cf: { colo: 'SFO' },
+		};
+
+		mockCtx = { waitUntil: vi.fn() };
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: true, status: 200, statusText: 'OK' }));
+		global.fetch = fetchSpy;
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	describe('fetch', () => {
+		it('should run the handler inside the logger context', async () => {
+			let current;
+			let received;
+			const worker = withGELFLogger(
+				{
+					async fetch(request, env, ctx, logger) {
+						current = GELFLogger.current;
+						received = logger;
+						return new Response('OK');
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+
+			expect(await response.text()).toBe('OK');
+			expect(current).toBeInstanceOf(GELFLogger);
+			expect(current).toBe(received);
+			expect(current.cfContext.colo).toBe('SFO');
+		});
+
+		it('should accept a bare fetch function', async () => {
+			const worker = withGELFLogger(async () => new Response('OK'), { consoleLog: false });
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+			expect(response.status).toBe(200);
+		});
+
+		it('should emit one access log per request', async () => {
+			const worker = withGELFLogger(
+				{ fetch: async () => new Response('Hello', { status: 201, headers: { 'content-length': '5' } }) },
+				{ consoleLog: false }
+			);
+
+			await worker.fetch(mockRequest, mockEnv, mockCtx);
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			const messages = sentMessages(fetchSpy);
+			expect(messages).toHaveLength(1);
+			expect(messages[0].short_message).toMatch(/^GET \/api\/users 201 \d+ms$/);
+			expect(messages[0].level).toBe(GELFLogger.LEVELS.INFO);
+			expect(messages[0]._access_log).toBe(true);
+			expect(messages[0]._http_status).toBe(201);
+			expect(messages[0]._duration_ms).toBeTypeOf('number');
+			expect(messages[0]._response_size).toBe(5);
+			expect(messages[0]._request_method).toBe('GET');
+			expect(messages[0]._request_path).toBe('/api/users');
+			expect(messages[0]._colo).toBe('SFO');
+		});
+
+		it('should log client and server errors at WARNING and ERROR', async () => {
+			const worker = withGELFLogger(
+				{ fetch: async request => new Response(null, { status: request.url.endsWith('missing') ? 404 : 503 }) },
+				{ consoleLog: false }
+			);
+
+			await worker.fetch({ ...mockRequest, url: 'https://example.com/missing' }, mockEnv, mockCtx);
+			await worker.fetch(mockRequest, mockEnv, mockCtx);
+			await Promise.all(mockCtx.waitUntil.mock.calls.map(call => call[0]));
+
+			const levels = sentMessages(fetchSpy).map(message => message.level);
+			expect(levels).toEqual([GELFLogger.LEVELS.WARNING, GELFLogger.LEVELS.ERROR]);
+		});
+
+		it('should log unhandled exceptions and return a 500', async () => {
+			const worker = withGELFLogger(
+				{
+					async fetch() {
+						throw new Error('Boom');
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+			await response.text(); // The access log waits for the body to be sent
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			expect(response.status).toBe(500);
+			const [exception, access] = sentMessages(fetchSpy);
+			expect(exception.short_message).toBe('Boom');
+			expect(exception._exception_type).toBe('Error');
+			expect(exception._unhandled).toBe(true);
+			expect(access._http_status).toBe(500);
+		});
+
+		it('should use onError for the error response', async () => {
+			const worker = withGELFLogger(
+				{
+					async fetch() {
+						throw new Error('Boom');
+					},
+				},
+				{ consoleLog: false, onError: error => new Response(error.message, { status: 502 }) }
+			);
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+
+			expect(response.status).toBe(502);
+			expect(await response.text()).toBe('Boom');
+		});
+
+		it('should count the size of streamed responses once the body is sent', async () => {
+			const worker = withGELFLogger(
+				{
+					fetch: async () => new Response(new ReadableStream({
+						start(controller) {
+							controller.enqueue(new TextEncoder().encode('chunk one,'));
+							controller.enqueue(new TextEncoder().encode('chunk two'));
+							controller.close();
+						},
+					}), { headers: { 'content-type': 'text/plain' } }),
+				},
+				{ consoleLog: false, measureResponseSize: true }
+			);
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+			expect(fetchSpy).not.toHaveBeenCalled();
+			expect(await response.text()).toBe('chunk one,chunk two');
+			expect(response.headers.get('content-type')).toBe('text/plain');
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			expect(sentMessages(fetchSpy)[0]._response_size).toBe(19);
+		});
+
+		it('should return responses without a Content-Length unchanged by default', async () => {
+			const original = new Response('Hello');
+			const worker = withGELFLogger({ fetch: async () => original }, { consoleLog: false });
+
+			const response = await worker.fetch(mockRequest, mockEnv, mockCtx);
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			// Logged without waiting for the body, which keeps its fixed length
+			expect(response).toBe(original);
+			expect(response.bodyUsed).toBe(false);
+			const [message] = sentMessages(fetchSpy);
+			expect(message._http_status).toBe(200);
+			expect(message._response_size).toBeUndefined();
+			expect(await response.text()).toBe('Hello');
+		});
+
+		it('should still flush when onError throws', async () => {
+			const worker = withGELFLogger(
+				{
+					async fetch() {
+						throw new Error('Boom');
+					},
+				},
+				{
+					consoleLog: false,
+					onError: () => {
+						throw new Error('onError failed');
+					},
+				}
+			);
+
+			await expect(worker.fetch(mockRequest, mockEnv, mockCtx)).rejects.toThrow('onError failed');
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			expect(sentMessages(fetchSpy).map(message => message.short_message)).toEqual(['Boom']);
+		});
+
+		it('should skip the access log when disabled', async () => {
+			const worker = withGELFLogger({ fetch: async () => new Response('OK') }, { consoleLog: false, accessLog: false });
+
+			await worker.fetch(mockRequest, mockEnv, mockCtx);
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			expect(fetchSpy).not.toHaveBeenCalled();
+		});
+
+		it('should keep other properties on the object', () => {
+			const helper = vi.fn();
+			const worker = withGELFLogger({ fetch: async () => new Response('OK'), helper });
+
+			expect(worker.helper).toBe(helper);
+		});
+	});
+
+	describe('scheduled', () => {
+		const controller = { cron: '*/5 * * * *', scheduledTime: Date.UTC(2025, 0, 1), noRetry: vi.fn() };
+
+		it('should log with cron context and a completion message', async () => {
+			const worker = withGELFLogger(
+				{
+					async scheduled(event, env, ctx, logger) {
+						logger.info('Running cleanup');
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			await worker.scheduled(controller, mockEnv, mockCtx);
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			const [message, completion] = sentMessages(fetchSpy);
+			expect(message._event_type).toBe('scheduled');
+			expect(message._cron).toBe('*/5 * * * *');
+			expect(message._scheduled_time).toBe('2025-01-01T00:00:00.000Z');
+			expect(completion.short_message).toMatch(/^scheduled handler completed in \d+ms$/);
+			expect(completion._outcome).toBe('ok');
+		});
+
+		it('should log and rethrow unhandled exceptions', async () => {
+			const worker = withGELFLogger(
+				{
+					async scheduled() {
+						throw new Error('Cron failed');
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			await expect(worker.scheduled(controller, mockEnv, mockCtx)).rejects.toThrow('Cron failed');
+			await mockCtx.waitUntil.mock.calls[0][0];
+
+			const [exception, completion] = sentMessages(fetchSpy);
+			expect(exception.short_message).toBe('Cron failed');
+			expect(exception._unhandled).toBe(true);
+			expect(completion.level).toBe(GELFLogger.LEVELS.ERROR);
+			expect(completion._outcome).toBe('exception');
+		});
+	});
+
+	describe('queue', () => {
+		it('should log with queue batch context', async () => {
+			const batch = {
+				queue: 'orders',
+				messages: [
+					{ id: 'm1', attempts: 1, body: {} },
+					{ id: 'm2', attempts: 3, body: {} },
+				],
+			};
+			let current;
+			const worker = withGELFLogger(
+				{
+					async queue() {
+						current = GELFLogger.current;
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			await worker.queue(batch, mockEnv, mockCtx);
+
+			expect(current.cfContext.event_type).toBe('queue');
+			expect(current.cfContext.queue_name).toBe('orders');
+			expect(current.cfContext.queue_batch_size).toBe(2);
+			expect(current.cfContext.queue_message_ids).toBe('m1,m2');
+			expect(current.cfContext.queue_max_attempts).toBe(3);
+		});
+	});
+
+	describe('email', () => {
+		it('should log with email context', async () => {
+			const message = { from: 'sender@example.com', to: 'inbox@example.com', rawSize: 2048 };
+			let current;
+			const worker = withGELFLogger(
+				{
+					async email() {
+						current = GELFLogger.current;
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			await worker.email(message, mockEnv, mockCtx);
+
+			expect(current.cfContext.event_type).toBe('email');
+			expect(current.cfContext.email_from).toBe('sender@example.com');
+			expect(current.cfContext.email_to).toBe('inbox@example.com');
+			expect(current.cfContext.email_size).toBe(2048);
+		});
+	});
+
+	describe('tail', () => {
+		it('should log with tail event context', async () => {
+			const events = [{ scriptName: 'api' }, { scriptName: 'api' }, { scriptName: 'auth' }];
+			let current;
+			const worker = withGELFLogger(
+				{
+					async tail() {
+						current = GELFLogger.current;
+					},
+				},
+				{ consoleLog: false }
+			);
+
+			await worker.tail(events, mockEnv, mockCtx);
+
+			expect(current.cfContext.event_type).toBe('tail');
+			expect(current.cfContext.tail_event_count).toBe(3);
+			expect(current.cfContext.tail_script_names).toBe('api,auth');
+		});
+	});
+});
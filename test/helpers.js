@@ -0,0 +1,14 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * GELF messages posted through a mocked fetch, in order
+ * Batched bodies are newline-delimited JSON, so each line is one message.
+ *
+ * @param {Function} fetchSpy - vi.fn() installed as global.fetch
+ * @returns {Array<Object>} Parsed messages
+ */
+export function sentMessages(fetchSpy) {
+	return fetchSpy.mock.calls.flatMap(call => call[1].body.split('\n').filter(Boolean).map(line => JSON.parse(line)));
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger, createGELFQueueConsumer } from '../src/gelf-logger.js';
+
+describe('Queues transport', () => {
+	let mockEnv;
+	let fetchSpy;
+	let producer;
+
+	const queueMessage = (body, attempts = 1) => ({ id: crypto.randomUUID(), body, attempts, ack: vi.fn(), retry: vi.fn() });
+
+	beforeEach(() => {
+		producer = { send: vi.fn(() => Promise.resolve()), sendBatch: vi.fn(() => Promise.resolve()) };
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://test-graylog.com/gelf',
+			GELF_QUEUE: producer,
+		};
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: true, status: 200, statusText: 'OK' }));
+		global.fetch = fetchSpy;
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	describe('logger', () => {
+		it('should enqueue messages instead of sending them', async () => {
+			const logger = new GELFLogger({ env: mockEnv, queue: true, consoleLog: false });
+
+			logger.info('Durable');
+			await logger.flush();
+
+			expect(fetchSpy).not.toHaveBeenCalled();
+			expect(producer.send).toHaveBeenCalledTimes(1);
+			expect(producer.send.mock.calls[0][0].short_message).toBe('Durable');
+			expect(logger.getStats().sent).toBe(1);
+		});
+
+		it('should enqueue batches with sendBatch in chunks of 100', async () => {
+			const logger = new GELFLogger({ env: mockEnv, queue: producer, batch: { maxMessages: 150 }, consoleLog: false });
+
+			for (let i = 0; i < 150; i++) {
+				logger.info(`Message ${i}`);
+			}
+			await logger.flush();
+
+			expect(producer.sendBatch).toHaveBeenCalledTimes(2);
+			expect(producer.sendBatch.mock.calls[0][0]).toHaveLength(100);
+			expect(producer.sendBatch.mock.calls[1][0][49].body.short_message).toBe('Message 149');
+			expect(logger.getStats().sent).toBe(150);
+		});
+
+		it('should track enqueue failures', async () => {
+			producer.send.mockRejectedValue(new Error('Queue unavailable'));
+			const logger = new GELFLogger({ env: mockEnv, queue: true, consoleLog: false });
+
+			logger.error('Lost');
+			await logger.flush();
+
+			expect(logger.getStats().failed).toBe(1);
+			expect(logger.getFailureSummary().queue_error).toBe(1);
+			expect(logger.getFailedMessages()[0].error).toBe('Queue unavailable');
+		});
+	});
+
+	describe('createGELFQueueConsumer', () => {
+		it('should deliver each message in its own request and ack or retry it on its own result', async () => {
+			fetchSpy.mockImplementation((url, init) => Promise.resolve(
+				init.body.includes('Two') ? { ok: false, status: 400, statusText: 'Bad Request' } : { ok: true, status: 202, statusText: 'Accepted' }
+			));
+			const consumer = createGELFQueueConsumer({ retry: false });
+			const messages = [queueMessage({ short_message: 'One' }), queueMessage({ short_message: 'Two' }), queueMessage({ short_message: 'Three' })];
+
+			await consumer({ queue: 'gelf', messages }, mockEnv, {});
+
+			expect(fetchSpy).toHaveBeenCalledTimes(3);
+			expect(fetchSpy.mock.calls.map(call => JSON.parse(call[1].body).short_message)).toEqual(['One', 'Two', 'Three']);
+			expect(messages[0].ack).toHaveBeenCalled();
+			expect(messages[1].ack).not.toHaveBeenCalled();
+			expect(messages[1].retry).toHaveBeenCalledWith({ delaySeconds: 30 });
+			expect(messages[2].ack).toHaveBeenCalled();
+		});
+
+		it('should deliver a batch in one request and ack every message with batch', async () => {
+			const consumer = createGELFQueueConsumer({ batch: true });
+			const messages = [queueMessage({ short_message: 'One' }), queueMessage({ short_message: 'Two' })];
+
+			await consumer({ queue: 'gelf', messages }, mockEnv, {});
+
+			expect(fetchSpy).toHaveBeenCalledTimes(1);
+			expect(fetchSpy.mock.calls[0][0]).toBe('http://test-graylog.com/gelf');
+			expect(fetchSpy.mock.calls[0][1].body).toBe('{"short_message":"One"}\n{"short_message":"Two"}');
+			expect(messages.every(message => message.ack.mock.calls.length === 1)).toBe(true);
+		});
+
+		it('should retry with backoff when the endpoint is down', async () => {
+			fetchSpy.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+			const consumer = createGELFQueueConsumer({ retry: false, retryDelay: 10 });
+			const messages = [queueMessage({ short_message: 'One' }, 1), queueMessage({ short_message: 'Two' }, 3)];
+
+			await consumer({ messages }, mockEnv, {});
+
+			expect(messages[0].retry).toHaveBeenCalledWith({ delaySeconds: 10 });
+			expect(messages[1].retry).toHaveBeenCalledWith({ delaySeconds: 40 });
+			expect(messages[0].ack).not.toHaveBeenCalled();
+		});
+
+		it('should dead-letter messages after maxAttempts', async () => {
+			fetchSpy.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+			const deadLetterQueue = { send: vi.fn(() => Promise.resolve()) };
+			const consumer = createGELFQueueConsumer({ retry: false, maxAttempts: 3 });
+			const messages = [queueMessage({ short_message: 'Early' }, 2), queueMessage({ short_message: 'Final' }, 3)];
+
+			await consumer({ messages }, { ...mockEnv, GELF_DEAD_LETTER_QUEUE: deadLetterQueue }, {});
+
+			expect(messages[0].retry).toHaveBeenCalled();
+			expect(deadLetterQueue.send).toHaveBeenCalledWith({ short_message: 'Final' });
+			expect(messages[1].ack).toHaveBeenCalled();
+		});
+
+		it('should not deliver malformed messages', async () => {
+			const deadLetterQueue = { send: vi.fn(() => Promise.resolve()) };
+			const consumer = createGELFQueueConsumer({ deadLetterQueue });
+			const messages = [queueMessage('not gelf'), queueMessage({ level: 6 })];
+
+			await consumer({ messages }, mockEnv, {});
+
+			expect(fetchSpy).not.toHaveBeenCalled();
+			expect(deadLetterQueue.send).toHaveBeenCalledTimes(2);
+			expect(messages.every(message => message.ack.mock.calls.length === 1)).toBe(true);
+		});
+	});
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger, createGELFTailHandler } from '../src/gelf-logger.js';
+import { sentMessages } from './helpers.js';
+
+describe('createGELFTailHandler', () => {
+	let mockEnv;
+	let fetchSpy;
+	let traceItem;
+
+	beforeEach(() => {
+		mockEnv = {
+			GELF_LOGGING_URL: 'http://test-graylog.com/gelf',
+		};
+
+		traceItem = {
+			scriptName: 'api-worker',
+			outcome: 'ok',
+			eventTimestamp: 1735689600000,
+			cpuTime: 3,
+			wallTime: 42,
+			event: {
+				request: { url: 'https://example.com/api/users?id=1', method: 'GET', headers: {}, cf: { colo: 'SFO' } },
+				response: { status: 200 },
+			},
+			logs: [
+				{ message: ['Loading user', { id: 1 }], level: 'log', timestamp: 1735689600010 },
+				{ message: ['Cache miss'], level: 'warn', timestamp: 1735689600020 },
+				{ message: ['Query plan'], level: 'debug', timestamp: 1735689600030 },
+			],
+			exceptions: [],
+		};
+
+		fetchSpy = vi.fn(() => Promise.resolve({ ok: true, status: 200, statusText: 'OK' }));
+		global.fetch = fetchSpy;
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('should forward console logs and an outcome summary in one batch', async () => {
+		const tail = createGELFTailHandler();
+
+		await tail([traceItem], mockEnv, {});
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		const messages = sentMessages(fetchSpy);
+		// The debug log is below the default INFO level
+		expect(messages.map(message => message.short_message)).toEqual(['Loading user', 'Cache miss', 'GET /api/users 200']);
+
+		const [log, warning, summary] = messages;
+		expect(log.level).toBe(GELFLogger.LEVELS.INFO);
+		expect(log.full_message).toBe('{"id":1}');
+		expect(log.timestamp).toBe(1735689600.01);
+		expect(log.host).toBe('api-worker');
+		expect(log._tail_source).toBe('log');
+		expect(log._request_path).toBe('/api/users');
+		expect(log._colo).toBe('SFO');
+		expect(warning.level).toBe(GELFLogger.LEVELS.WARNING);
+
+		expect(summary.level).toBe(GELFLogger.LEVELS.INFO);
+		expect(summary._tail_source).toBe('outcome');
+		expect(summary._trigger).toBe('fetch');
+		expect(summary._http_status).toBe(200);
+		expect(summary._cpu_time_ms).toBe(3);
+		expect(summary._wall_time_ms).toBe(42);
+		expect(summary._log_count).toBe(3);
+	});
+
+	it('should forward exceptions and log failed outcomes at ERROR', async () => {
+		const tail = createGELFTailHandler({ batch: false });
+		traceItem.outcome = 'exception';
+		traceItem.event.response = undefined;
+		traceItem.logs = [];
+		traceItem.exceptions = [{ name: 'TypeError', message: 'x is undefined', timestamp: 1735689600050 }];
+
+		await tail([traceItem], mockEnv, {});
+
+		const [exception, summary] = sentMessages(fetchSpy);
+		expect(exception.level).toBe(GELFLogger.LEVELS.ERROR);
+		expect(exception.short_message).toBe('x is undefined');
+		expect(exception._exception_type).toBe('TypeError');
+		expect(exception._tail_source).toBe('exception');
+		expect(summary.short_message).toBe('GET /api/users exception');
+		expect(summary.level).toBe(GELFLogger.LEVELS.ERROR);
+	});
+
+	it('should group messages by invocation', async () => {
+		const tail = createGELFTailHandler({ minLevel: GELFLogger.LEVELS.DEBUG });
+		const scheduledItem = {
+			scriptName: 'cron-worker',
+			outcome: 'ok',
+			event: { cron: '*/5 * * * *', scheduledTime: 1735689600000 },
+			logs: [{ message: ['Cleanup done'], level: 'info', timestamp: 1735689600100 }],
+			exceptions: [],
+		};
+
+		await tail([traceItem, scheduledItem], mockEnv, {});
+
+		const messages = sentMessages(fetchSpy);
+		const apiSessions = new Set(messages.filter(m => m.host === 'api-worker').map(m => m._log_session_id));
+		const cronMessages = messages.filter(m => m.host === 'cron-worker');
+		expect(apiSessions.size).toBe(1);
+		expect(cronMessages).toHaveLength(2);
+		expect(apiSessions.has(cronMessages[0]._log_session_id)).toBe(false);
+		expect(cronMessages[1].short_message).toBe('scheduled ok');
+		expect(cronMessages[1]._cron).toBe('*/5 * * * *');
+	});
+
+	it('should not stamp the Tail Worker\'s own context on forwarded messages', async () => {
+		const tail = createGELFTailHandler();
+
+		await tail([traceItem], { ...mockEnv, ENVIRONMENT: 'tail-env', FUNCTION_NAME: 'log-forwarder' }, {});
+
+		const messages = sentMessages(fetchSpy);
+		expect(messages).toHaveLength(3);
+		for (const message of messages) {
+			expect(message._environment).toBeUndefined();
+			expect(message._function_name).toBeUndefined();
+		}
+		expect(messages[0]._request_path).toBe('/api/users');
+	});
+
+	it('should skip malformed trace items', async () => {
+		const tail = createGELFTailHandler();
+
+		await tail([null, traceItem], mockEnv, {});
+
+		expect(sentMessages(fetchSpy)).toHaveLength(3);
+	});
+});
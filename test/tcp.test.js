@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { GELFLogger } from '../src/gelf-logger.js';
+
+const { connect } = vi.hoisted(() => ({ connect: vi.fn() }));
+vi.mock('cloudflare:sockets', () => ({ connect }));
+
+// Minimal cloudflare:sockets Socket: records frames written and can be closed from the test
+function mockSocket({ openError = null, writeError = null } = {}) {
+	let resolveClosed;
+	const socket = {
+		frames: [],
+		opened: openError ? Promise.reject(openError) : Promise.resolve({}),
+		closed: new Promise(resolve => {
+			resolveClosed = resolve;
+		}),
+		writable: {
+			getWriter: () => ({
+				write: vi.fn(chunk => {
+					if (writeError) {
+						return Promise.reject(writeError);
+					}
+					socket.frames.push(...new TextDecoder().decode(chunk).split('\0').filter(Boolean));
+					return Promise.resolve();
+				}),
+			}),
+		},
+		close: vi.fn(() => {
+			resolveClosed();
+			return Promise.resolve();
+		}),
+	};
+	return socket;
+}
+
+describe('TCP Transport', () => {
+	let mockEnv;
+	let socket;
+
+	beforeEach(() => {
+		mockEnv = {
+			WORKER_NAME: 'test-worker',
+			GELF_TCP_ADDRESS: 'graylog.example.com:12201',
+		};
+
+		socket = mockSocket();
+		connect.mockReset();
+		connect.mockImplementation(() => socket);
+		global.fetch = vi.fn();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('should send null-byte framed messages over one connection', async () => {
+		const logger = new GELFLogger({ env: mockEnv, tcp: true, consoleLog: false });
+
+		logger.info('First');
+		logger.child({ step: 'db' }).warning('Second');
+		await logger.flush();
+
+		expect(connect).toHaveBeenCalledTimes(1);
+		expect(connect).toHaveBeenCalledWith(
+			{ hostname: 'graylog.example.com', port: 12201 },
+			{ secureTransport: 'off', allowHalfOpen: false }
+		);
+		expect(socket.frames.map(frame => JSON.parse(frame).short_message)).toEqual(['First', 'Second']);
+		expect(JSON.parse(socket.frames[1])._step).toBe('db');
+		expect(logger.getStats().sent).toBe(2);
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	it('should write directly once connected', async () => {
+		const logger = new GELFLogger({ env: mockEnv, tcp: 'logs.internal:5555', consoleLog: false });
+
+		logger.info('Connect');
+		await logger.flush();
+		logger.info('Direct');
+		await logger.flush();
+
+		expect(connect).toHaveBeenCalledTimes(1);
+		expect(connect.mock.calls[0][0]).toEqual({ hostname: 'logs.internal', port: 5555 });
+		expect(socket.frames).toHaveLength(2);
+	});
+
+	it('should connect with TLS when enabled', async () => {
+		const logger = new GELFLogger({ env: {}, tcp: { hostname: 'graylog.example.com', tls: true }, consoleLog: false });
+
+		logger.info('Secure');
+		await logger.flush();
+
+		expect(connect.mock.calls[0][1].secureTransport).toBe('on');
+		expect(logger.getStats().tcp).toMatchObject({ address: 'graylog.example.com:12201', tls: true, connected: true });
+	});
+
+	it('should keep messages queued and reconnect with backoff when the connection fails', async () => {
+		vi.useFakeTimers();
+		connect.mockImplementationOnce(() => mockSocket({ openError: new Error('Connection refused') }));
+		const logger = new GELFLogger({ env: mockEnv, tcp: true, consoleLog: false });
+
+		logger.error('Queued');
+		await logger.flush();
+
+		expect(logger.getStats().tcp).toMatchObject({ connected: false, queueLength: 1, reconnectAttempts: 1 });
+
+		await vi.advanceTimersByTimeAsync(2000);
+		await logger.flush();
+
+		expect(connect).toHaveBeenCalledTimes(2);
+		expect(socket.frames).toHaveLength(1);
+		expect(logger.getStats().tcp).toMatchObject({ connected: true, queueLength: 0, reconnectAttempts: 0 });
+	});
+
+	it('should reconnect after the server closes the connection', async () => {
+		vi.useFakeTimers();
+		const logger = new GELFLogger({ env: mockEnv, tcp: true, consoleLog: false });
+
+		logger.info('Before');
+		await logger.flush();
+		const firstSocket = socket;
+		socket = mockSocket();
+		await firstSocket.close();
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(logger.getStats().tcp.connected).toBe(false);
+
+		await vi.advanceTimersByTimeAsync(2000);
+		logger.info('After');
+		await logger.flush();
+
+		expect(connect).toHaveBeenCalledTimes(2);
+		expect(socket.frames.map(frame => JSON.parse(frame).short_message)).toEqual(['After']);
+	});
+
+	it('should requeue messages when a write fails', async () => {
+		vi.useFakeTimers();
+		socket = mockSocket({ writeError: new Error('Broken pipe') });
+		const logger = new GELFLogger({ env: mockEnv, tcp: true, consoleLog: false });
+
+		logger.info('One');
+		logger.info('Two');
+		await logger.flush();
+
+		expect(logger.getStats().sent).toBe(0);
+		expect(logger.tcpState.queue.map(message => message.short_message)).toEqual(['One', 'Two']);
+		expect(socket.close).toHaveBeenCalled();
+	});
+
+	it('should count messages as failed once reconnect attempts are used up', async () => {
+		connect.mockImplementation(() => mockSocket({ openError: new Error('Connection refused') }));
+		const logger = new GELFLogger({ env: mockEnv, tcp: { maxReconnectAttempts: 0 }, consoleLog: false });
+
+		logger.error('Lost');
+		await logger.flush();
+
+		expect(logger.getStats()).toMatchObject({ sent: 0, failed: 1 });
+		expect(logger.getFailureSummary().tcp_connect_error).toBe(1);
+		expect(logger.getFailedMessages()[0].error).toBe('Connection refused');
+		expect(logger.tcpState.queue).toHaveLength(0);
+	});
+
+	it('should count write failures once reconnect attempts are used up', async () => {
+		socket = mockSocket({ writeError: new Error('Broken pipe') });
+		const logger = new GELFLogger({ env: mockEnv, tcp: { maxReconnectAttempts: 0 }, consoleLog: false });
+
+		logger.info('One');
+		logger.info('Two');
+		await logger.flush();
+
+		expect(logger.getStats().failed).toBe(2);
+		expect(logger.getFailureSummary().tcp_write_error).toBe(2);
+	});
+
+	it('should drop the oldest messages beyond maxQueueSize', async () => {
+		vi.useFakeTimers();
+		connect.mockImplementation(() => mockSocket({ openError: new Error('Connection refused') }));
+		const logger = new GELFLogger({ env: mockEnv, tcp: { maxQueueSize: 2 }, consoleLog: false });
+
+		logger.info('One');
+		logger.info('Two');
+		logger.info('Three');
+		await logger.flush();
+
+		expect(logger.tcpState.queue.map(message => message.short_message)).toEqual(['Two', 'Three']);
+		expect(logger.getStats().failed).toBe(1);
+		expect(logger.getFailedMessages()[0]).toMatchObject({ reason: 'tcp_queue_full', message: { short_message: 'One' } });
+	});
+
+	it('should be disabled without a host', () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const logger = new GELFLogger({ env: {}, tcp: true, consoleLog: false });
+
+		expect(logger.tcp).toBeNull();
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('GELF_TCP_ADDRESS'));
+	});
+});